@@ -22,19 +22,23 @@ function _runTests() {
   'use strict';
 
   var checkResult = function(caller, result) {
-    Logger.log(caller + ' ' + (result.length ?
-        '✅ OK: ' + JSON.stringify(result) : '❌ Error'));
+    var isError = typeof result === 'string' && /^#WIKI!/.test(result);
+    Logger.log(caller + ' ' + (result.length && !isError ?
+        '✅ OK: ' + JSON.stringify(result) : '❌ Error' +
+        (isError ? ': ' + result : '')));
   };
 
   var project = 'en.wikipedia';
   var article = 'en:Berlin';
   var qid = 'Q64';
+  var articles = [['en:Berlin'], ['de:Hamburg'], ['Munich']];
   var articleOrPoint = ['en:Berlin', '52.51666667,13.38333333'];
   var linkPattern = 'en:github.com';
   var query = 'en:Berlin';
   var queryId = 1226;
   var fileName = 'en:Flag of Berlin.svg';
   var category = 'en:Category:Berlin';
+  var list = 'en:List_of_cities_in_Germany_by_population';
   var opt_namespaces = '0|1|2';
   var opt_targetLanguages = ['de', 'fr'];
   var opt_targetLanguage = 'de';
@@ -54,29 +58,52 @@ function _runTests() {
   var opt_accessSite = 'all-sites';
   var opt_agent = 'all-agents';
   var opt_granularity = 'daily';
+  var opt_limit = 1000;
 
   checkResult('WIKIQUARRY', WIKIQUARRY(queryId));
 
+  checkResult('WIKIDATASPARQL', WIKIDATASPARQL('SELECT ?item ?population ' +
+      'WHERE { ?item wdt:P31 wd:Q515; wdt:P1082 ?population. } LIMIT 10'));
+
   checkResult('WIKICATEGORIES', WIKICATEGORIES(article));
   checkResult('WIKICATEGORIES', WIKICATEGORIES(article.replace('en:', '')));
+  checkResult('WIKICATEGORIES', WIKICATEGORIES(articles));
 
   checkResult('WIKIGEOCOORDINATES', WIKIGEOCOORDINATES(article));
   checkResult('WIKIGEOCOORDINATES', WIKIGEOCOORDINATES(
       article.replace('en:', '')));
+  checkResult('WIKIGEOCOORDINATES', WIKIGEOCOORDINATES(articles));
 
   checkResult('WIKIDATAQID', WIKIDATAQID(article));
   checkResult('WIKIDATAQID', WIKIDATAQID(article.replace('en:', '')));
+  checkResult('WIKIDATAQID', WIKIDATAQID(articles));
+  checkResult('WIKIDATAQID', WIKIDATAQID(
+      'https://de.wikipedia.org/wiki/Berlin'));
+  checkResult('WIKIDATAQID', WIKIDATAQID(
+      'https://en.m.wikipedia.org/wiki/Berlin'));
+  checkResult('WIKIDATAQID', WIKIDATAQID(
+      'https://en.wikipedia.org/?curid=3354'));
+  checkResult('WIKIDATAQID', WIKIDATAQID('de:Caf%C3%A9_Kranzler'));
+  checkResult('WIKIDATAQID', WIKIDATAQID(
+      'en:Star Wars: Episode IV – A New Hope'));
+  checkResult('WIKIDATAQID', WIKIDATAQID('Q64'));
 
   checkResult('WIKIDATASITELINKS', WIKIDATASITELINKS(qid));
   checkResult('WIKIDATASITELINKS', WIKIDATASITELINKS(qid, opt_targetLanguages));
 
   checkResult('WIKIDATALOOKUP', WIKIDATALOOKUP('P298', 'AUT'));
 
+  checkResult('WIKIDATALOOKUPALL', WIKIDATALOOKUPALL('P31=Q515'));
+  checkResult('WIKIDATALOOKUPALL', WIKIDATALOOKUPALL([['P31', 'Q515'],
+      ['P17', 'Q183']], 'de,en', opt_limit));
+
   checkResult('GOOGLESUGGEST', GOOGLESUGGEST(query));
   checkResult('GOOGLESUGGEST', GOOGLESUGGEST(query.replace('en:', '')));
 
   checkResult('WIKICOMMONSLINK', WIKICOMMONSLINK(fileName));
   checkResult('WIKICOMMONSLINK', WIKICOMMONSLINK(fileName.replace('en:', '')));
+  checkResult('WIKICOMMONSLINK', WIKICOMMONSLINK([[fileName],
+      ['en:Coat of arms of Berlin.svg']]));
 
   checkResult('WIKICATEGORYMEMBERS', WIKICATEGORYMEMBERS(category));
   checkResult('WIKICATEGORYMEMBERS', WIKICATEGORYMEMBERS(
@@ -85,6 +112,10 @@ function _runTests() {
       opt_namespaces));
   checkResult('WIKICATEGORYMEMBERS', WIKICATEGORYMEMBERS(
       category.replace('en:', ''), opt_namespaces));
+  checkResult('WIKICATEGORYMEMBERS', WIKICATEGORYMEMBERS(category,
+      opt_namespaces, opt_limit));
+  checkResult('WIKICATEGORYMEMBERS', WIKICATEGORYMEMBERS(
+      'commons:Category:Berlin', '6'));
 
   checkResult('WIKISUBCATEGORIES', WIKISUBCATEGORIES(category));
   checkResult('WIKISUBCATEGORIES', WIKISUBCATEGORIES(
@@ -92,18 +123,34 @@ function _runTests() {
   checkResult('WIKISUBCATEGORIES', WIKISUBCATEGORIES(category, opt_namespaces));
   checkResult('WIKISUBCATEGORIES', WIKISUBCATEGORIES(
       category.replace('en:', ''), opt_namespaces));
+  checkResult('WIKISUBCATEGORIES', WIKISUBCATEGORIES(category, opt_namespaces,
+      opt_limit));
+
+  checkResult('WIKICATEGORYTREE', WIKICATEGORYTREE(category));
+  checkResult('WIKICATEGORYTREE', WIKICATEGORYTREE(category, 2, 'page',
+      opt_limit, true));
+
+  checkResult('WIKICATEGORYINTERSECT', WIKICATEGORYINTERSECT(category +
+      ' AND Category:Capitals in Europe'));
+  checkResult('WIKICATEGORYINTERSECT', WIKICATEGORYINTERSECT([[category],
+      ['NOT Category:Berlin Wall']], 1, true));
 
   checkResult('WIKISYNONYMS', WIKISYNONYMS(article));
   checkResult('WIKISYNONYMS', WIKISYNONYMS(article.replace('en:', '')));
   checkResult('WIKISYNONYMS', WIKISYNONYMS(article, opt_namespaces));
   checkResult('WIKISYNONYMS', WIKISYNONYMS(article.replace('en:', ''),
       opt_namespaces));
+  checkResult('WIKISYNONYMS', WIKISYNONYMS(article, opt_namespaces, opt_limit));
+  checkResult('WIKISYNONYMS', WIKISYNONYMS('en.wiktionary:color'));
 
   checkResult('WIKIINBOUNDLINKS', WIKIINBOUNDLINKS(article));
   checkResult('WIKIINBOUNDLINKS', WIKIINBOUNDLINKS(article.replace('en:', '')));
   checkResult('WIKIINBOUNDLINKS', WIKIINBOUNDLINKS(article, opt_namespaces));
   checkResult('WIKIINBOUNDLINKS', WIKIINBOUNDLINKS(article.replace('en:', ''),
       opt_namespaces));
+  checkResult('WIKIINBOUNDLINKS', WIKIINBOUNDLINKS(article, opt_namespaces,
+      'all'));
+  checkResult('WIKIINBOUNDLINKS', WIKIINBOUNDLINKS('en.wikivoyage:Berlin'));
 
   checkResult('WIKIOUTBOUNDLINKS', WIKIOUTBOUNDLINKS(article));
   checkResult('WIKIOUTBOUNDLINKS', WIKIOUTBOUNDLINKS(
@@ -111,12 +158,16 @@ function _runTests() {
   checkResult('WIKIOUTBOUNDLINKS', WIKIOUTBOUNDLINKS(article, opt_namespaces));
   checkResult('WIKIOUTBOUNDLINKS', WIKIOUTBOUNDLINKS(article.replace('en:', ''),
       opt_namespaces));
+  checkResult('WIKIOUTBOUNDLINKS', WIKIOUTBOUNDLINKS(article, opt_namespaces,
+      opt_limit));
 
   checkResult('WIKIMUTUALLINKS', WIKIMUTUALLINKS(article));
   checkResult('WIKIMUTUALLINKS', WIKIMUTUALLINKS(article.replace('en:', '')));
   checkResult('WIKIMUTUALLINKS', WIKIMUTUALLINKS(article, opt_namespaces));
   checkResult('WIKIMUTUALLINKS', WIKIMUTUALLINKS(article.replace('en:', ''),
       opt_namespaces));
+  checkResult('WIKIMUTUALLINKS', WIKIMUTUALLINKS(article, opt_namespaces,
+      'all'));
 
   checkResult('WIKILINKSEARCH', WIKILINKSEARCH(linkPattern));
   checkResult('WIKILINKSEARCH', WIKILINKSEARCH(linkPattern.replace('en:', '')));
@@ -127,6 +178,8 @@ function _runTests() {
       opt_namespaces));
   checkResult('WIKILINKSEARCH', WIKILINKSEARCH(linkPattern.replace('en:', ''),
       opt_protocol, opt_namespaces));
+  checkResult('WIKILINKSEARCH', WIKILINKSEARCH(linkPattern, opt_protocol,
+      opt_namespaces, opt_limit));
 
   checkResult('WIKIEXPAND', WIKIEXPAND(article));
   checkResult('WIKIEXPAND', WIKIEXPAND(article.replace('en:', '')));
@@ -168,6 +221,7 @@ function _runTests() {
       opt_targetLanguage, opt_skipHeader));
   checkResult('WIKITRANSLATE', WIKITRANSLATE(article.replace('en:', ''),
       opt_targetLanguages, opt_skipHeader));
+  checkResult('WIKITRANSLATE', WIKITRANSLATE(articles, opt_targetLanguages));
 
   checkResult('WIKIDATAFACTS', WIKIDATAFACTS(article));
   checkResult('WIKIDATAFACTS', WIKIDATAFACTS(article.replace('en:', '')));
@@ -188,6 +242,17 @@ function _runTests() {
       opt_properties));
   checkResult('WIKIDATAFACTS', WIKIDATAFACTS(article, opt_multiObjectMode[1],
       opt_properties));
+  checkResult('WIKIDATAFACTS', WIKIDATAFACTS(qid, 'statements'));
+  checkResult('WIKIDATAFACTS', WIKIDATAFACTS(qid, 'statements', opt_properties,
+      'nondeprecated'));
+  checkResult('WIKIDATAFACTS', WIKIDATAFACTS(qid, opt_multiObjectMode[0],
+      opt_properties, 'preferred'));
+  checkResult('WIKIDATAFACTS', WIKIDATAFACTS(qid, opt_multiObjectMode[1],
+      ['P571', 'P625', 'P2046', 'P1082']));
+  checkResult('WIKIDATAFACTS', WIKIDATAFACTS(qid, opt_multiObjectMode[0],
+      opt_properties, '', 'de,en,mul'));
+  checkResult('WIKIDATAFACTS', WIKIDATAFACTS(qid, 'statements', opt_properties,
+      '', opt_targetLanguages, true));
 
   checkResult('WIKIDATALABELS', WIKIDATALABELS(qid));
   checkResult('WIKIDATALABELS', WIKIDATALABELS(qid, opt_targetLanguage));
@@ -208,6 +273,28 @@ function _runTests() {
       opt_sumOnly));
   checkResult('WIKIPAGEVIEWS', WIKIPAGEVIEWS(article.replace('en:', ''),
       opt_start, opt_end, opt_sumOnly));
+  checkResult('WIKIPAGEVIEWS', WIKIPAGEVIEWS(article, '20240101', '20240331',
+      false, 'monthly', 'desktop', opt_agent));
+  checkResult('WIKIPAGEVIEWS', WIKIPAGEVIEWS(articles, opt_start, opt_end));
+  checkResult('WIKIPAGEVIEWS', WIKIPAGEVIEWS(articles, opt_start, opt_end,
+      opt_sumOnly));
+
+  checkResult('WIKIDATAPAGEVIEWS', WIKIDATAPAGEVIEWS(qid));
+  checkResult('WIKIDATAPAGEVIEWS', WIKIDATAPAGEVIEWS(article, opt_start,
+      opt_end, true));
+
+  checkResult('WIKIPAGEVIEWSANOMALIES', WIKIPAGEVIEWSANOMALIES(
+      'en:Elizabeth II', '20220901', '20220930'));
+  checkResult('WIKIPAGEVIEWSANOMALIES', WIKIPAGEVIEWSANOMALIES(
+      'en:Elizabeth II', '20220901', '20220930', 2, 7));
+
+  checkResult('WIKIPAGEVIEWSGROWTH', WIKIPAGEVIEWSGROWTH(article));
+  checkResult('WIKIPAGEVIEWSGROWTH', WIKIPAGEVIEWSGROWTH(article, opt_end, 28));
+
+  checkResult('WIKIPAGEVIEWSMOVINGAVERAGE', WIKIPAGEVIEWSMOVINGAVERAGE(
+      article));
+  checkResult('WIKIPAGEVIEWSMOVINGAVERAGE', WIKIPAGEVIEWSMOVINGAVERAGE(
+      article, opt_start, opt_end, 3));
 
   checkResult('WIKIPAGEVIEWSPERARTICLE', WIKIPAGEVIEWSPERARTICLE(project,
       article.replace('en:', '')));
@@ -225,6 +312,12 @@ function _runTests() {
   checkResult('WIKIPAGEVIEWSTOP', WIKIPAGEVIEWSTOP(project));
   checkResult('WIKIPAGEVIEWSTOP', WIKIPAGEVIEWSTOP(project, opt_access,
       opt_date));
+  checkResult('WIKIPAGEVIEWSTOP', WIKIPAGEVIEWSTOP(project, opt_access,
+      opt_start, opt_end, true));
+
+  checkResult('WIKIPAGEVIEWSTOPBYCOUNTRY', WIKIPAGEVIEWSTOPBYCOUNTRY('DE'));
+  checkResult('WIKIPAGEVIEWSTOPBYCOUNTRY', WIKIPAGEVIEWSTOPBYCOUNTRY('DE',
+      opt_access, opt_date, '', true));
 
   checkResult('WIKIUNIQUEDEVICES', WIKIUNIQUEDEVICES(project));
   checkResult('WIKIUNIQUEDEVICES', WIKIUNIQUEDEVICES(project, opt_accessSite,
@@ -235,6 +328,31 @@ function _runTests() {
   checkResult('WIKIPAGEEDITS', WIKIPAGEEDITS(article, opt_start, opt_end));
   checkResult('WIKIPAGEEDITS', WIKIPAGEEDITS(article.replace('en:', ''),
       opt_start, opt_end));
+  checkResult('WIKIPAGEEDITS', WIKIPAGEEDITS(article, opt_start, opt_end,
+      opt_limit));
+
+  checkResult('WIKIPAGEREVISIONS', WIKIPAGEREVISIONS(article));
+  checkResult('WIKIPAGEREVISIONS', WIKIPAGEREVISIONS(article, opt_start,
+      opt_end, opt_limit));
+  checkResult('WIKIPAGEREVISIONS', WIKIPAGEREVISIONS(article, opt_start,
+      opt_end, opt_limit, true));
+
+  checkResult('WIKILATESTREVISIONS', WIKILATESTREVISIONS(article));
+  checkResult('WIKILATESTREVISIONS', WIKILATESTREVISIONS(articles));
+
+  checkResult('WIKIEXTRACT', WIKIEXTRACT(article));
+  checkResult('WIKIEXTRACT', WIKIEXTRACT(article, 3));
+  checkResult('WIKIEXTRACT', WIKIEXTRACT(article, 'full'));
+  checkResult('WIKIEXTRACT', WIKIEXTRACT(article, 'section', 'History'));
+
+  checkResult('WIKISECTIONS', WIKISECTIONS(article));
+
+  checkResult('WIKIINFOBOX', WIKIINFOBOX(article));
+  checkResult('WIKIINFOBOX', WIKIINFOBOX(article, 'Infobox German state',
+      true));
+
+  checkResult('WIKITABLE', WIKITABLE(list));
+  checkResult('WIKITABLE', WIKITABLE(list, 1, true));
 
   checkResult('WIKISEARCH', WIKISEARCH(query));
   checkResult('WIKISEARCH', WIKISEARCH(query.replace('en:', '')));
@@ -243,4 +361,40 @@ function _runTests() {
       opt_didYouMean));
   checkResult('WIKISEARCH', WIKISEARCH(query.replace('en:', ''), opt_didYouMean,
       opt_namespaces));
+  checkResult('WIKISEARCH', WIKISEARCH(query, opt_didYouMean, opt_namespaces,
+      opt_limit));
+  checkResult('WIKISEARCH', WIKISEARCH('en.wikivoyage:Berlin'));
+
+  var graph = crawlLinkGraph_(parseArticle_(article), 1, 10);
+  checkResult('crawlLinkGraph_', graph.titles);
+  checkResult('crawlLinkGraph_', graph.edges);
+  checkResult('crawlLinkGraph_', crawlLinkGraph_(parseArticle_(article),
+      LINK_GRAPH_DEPTH, 50).titles);
+
+  var timeZone = Session.getScriptTimeZone();
+  checkResult('toDatavalue_', [toDatavalue_('Q64', 'wikibase-item',
+      timeZone)]);
+  checkResult('toDatavalue_', [toDatavalue_('de:Berlin', 'monolingualtext',
+      timeZone)]);
+  checkResult('toDatavalue_', [toDatavalue_('891.85 Q712226', 'quantity',
+      timeZone)]);
+  checkResult('toDatavalue_', [toDatavalue_(new Date(2001, 4, 3), 'time',
+      timeZone)]);
+  checkResult('toDatavalue_', [toDatavalue_('1990-10', 'time', timeZone)]);
+  checkResult('toDatavalue_', [toDatavalue_('52.52, 13.405',
+      'globe-coordinate', timeZone)]);
+
+  // Planning only reads the claims, the edits are not submitted
+  var token = PropertiesService.getUserProperties()
+      .getProperty('wikidataAccessToken');
+  if (token) {
+    var plan = planWikidataEdits_([
+      ['QID', 'Property', 'Value', 'Qualifiers'],
+      ['Q4115189', 'P31', 'Q5', 'P580=2001'],
+      ['Q4115189', 'P31', 'Q5', ''],
+      ['Q4115189', 'P31', 'X', '']
+    ], token, timeZone);
+    checkResult('planWikidataEdits_', plan.edits);
+    checkResult('planWikidataEdits_', plan.statuses);
+  }
 }
@@ -23,1693 +23,5669 @@ var HEADERS = {headers: {
 // Set default language to 'en' for simpler method chaining
 var DEFAULT_LANGUAGE = 'en';
 
+// Language codes of all Wikipedia language editions
+var LANGUAGES = [
+  'aa', 'ab', 'ace', 'ady', 'af', 'ak', 'als', 'alt', 'am', 'ami', 'an', 'ang',
+  'anp', 'ar', 'arc', 'ary', 'arz', 'as', 'ast', 'atj', 'av', 'avk', 'awa',
+  'ay', 'az', 'azb', 'ba', 'ban', 'bar', 'bat-smg', 'bcl', 'bdr', 'be',
+  'be-tarask', 'be-x-old', 'bew', 'bg', 'bh', 'bi', 'bjn', 'blk', 'bm', 'bn',
+  'bo', 'bpy', 'br', 'bs', 'btm', 'bug', 'bxr', 'ca', 'cbk-zam', 'cdo', 'ce',
+  'ceb', 'ch', 'cho', 'chr', 'chy', 'ckb', 'co', 'cr', 'crh', 'cs', 'csb',
+  'cu', 'cv', 'cy', 'da', 'dag', 'de', 'dga', 'din', 'diq', 'dsb', 'dtp',
+  'dty', 'dv', 'dz', 'ee', 'el', 'eml', 'en', 'eo', 'es', 'et', 'eu', 'ext',
+  'fa', 'fat', 'ff', 'fi', 'fiu-vro', 'fj', 'fo', 'fon', 'fr', 'frp', 'frr',
+  'fur', 'fy', 'ga', 'gag', 'gan', 'gcr', 'gd', 'gl', 'glk', 'gn', 'gom',
+  'gor', 'got', 'gpe', 'gu', 'guc', 'gur', 'guw', 'gv', 'ha', 'hak', 'haw',
+  'he', 'hi', 'hif', 'ho', 'hr', 'hsb', 'ht', 'hu', 'hy', 'hyw', 'hz', 'ia',
+  'iba', 'id', 'ie', 'ig', 'igl', 'ii', 'ik', 'ilo', 'inh', 'io', 'is', 'it',
+  'iu', 'ja', 'jam', 'jbo', 'jv', 'ka', 'kaa', 'kab', 'kbd', 'kbp', 'kcg',
+  'kg', 'kge', 'ki', 'kj', 'kk', 'kl', 'km', 'kn', 'knc', 'ko', 'koi', 'kr',
+  'krc', 'ks', 'ksh', 'ku', 'kus', 'kv', 'kw', 'ky', 'la', 'lad', 'lb', 'lbe',
+  'lez', 'lfn', 'lg', 'li', 'lij', 'lld', 'lmo', 'ln', 'lo', 'lrc', 'lt',
+  'ltg', 'lv', 'mad', 'mai', 'map-bms', 'mdf', 'mg', 'mh', 'mhr', 'mi', 'min',
+  'mk', 'ml', 'mn', 'mni', 'mnw', 'mos', 'mr', 'mrj', 'ms', 'mt', 'mus', 'mwl',
+  'my', 'myv', 'mzn', 'na', 'nah', 'nap', 'nds', 'nds-nl', 'ne', 'new', 'ng',
+  'nia', 'nl', 'nn', 'no', 'nov', 'nqo', 'nr', 'nrm', 'nso', 'nup', 'nv', 'ny',
+  'oc', 'olo', 'om', 'or', 'os', 'pa', 'pag', 'pam', 'pap', 'pcd', 'pcm',
+  'pdc', 'pfl', 'pi', 'pih', 'pl', 'pms', 'pnb', 'pnt', 'ps', 'pt', 'pwn',
+  'qu', 'rm', 'rmy', 'rn', 'ro', 'roa-rup', 'roa-tara', 'rsk', 'ru', 'rue',
+  'rw', 'sa', 'sah', 'sat', 'sc', 'scn', 'sco', 'sd', 'se', 'sg', 'sh', 'shi',
+  'shn', 'si', 'simple', 'sk', 'skr', 'sl', 'sm', 'smn', 'sn', 'so', 'sq',
+  'sr', 'srn', 'ss', 'st', 'stq', 'su', 'sv', 'sw', 'szl', 'szy', 'ta', 'tay',
+  'tcy', 'tdd', 'te', 'tet', 'tg', 'th', 'ti', 'tig', 'tk', 'tl', 'tly', 'tn',
+  'to', 'tpi', 'tr', 'trv', 'ts', 'tt', 'tum', 'tw', 'ty', 'tyv', 'udm', 'ug',
+  'uk', 'ur', 'uz', 've', 'vec', 'vep', 'vi', 'vls', 'vo', 'wa', 'war', 'wo',
+  'wuu', 'xal', 'xh', 'xmf', 'yi', 'yo', 'yue', 'za', 'zea', 'zgh', 'zh',
+  'zh-classical', 'zh-min-nan', 'zh-yue', 'zu'
+];
+
+// Wikimedia projects with one site per language, like "en.wikivoyage.org"
+var PROJECTS = ['wikipedia', 'wikibooks', 'wikinews', 'wikiquote',
+  'wikisource', 'wikiversity', 'wikivoyage', 'wiktionary'];
+
+// Wikimedia projects with a single multilingual site
+var SITES = {
+  commons: 'commons.wikimedia.org',
+  meta: 'meta.wikimedia.org',
+  species: 'species.wikimedia.org',
+  wikidata: 'www.wikidata.org'
+};
+
+// The Wikidata API, unless a Wikibase API is configured in the settings
+var WIKIDATA_API_URL = 'https://www.wikidata.org/w/api.php';
+
+// The Wikidata Query Service, unless a SPARQL endpoint is configured
+var WIKIDATA_SPARQL_URL = 'https://query.wikidata.org/sparql';
+
+// Names of the API endpoint settings, stored in the document properties
+var SETTINGS = ['mediaWikiApiUrl', 'wikibaseApiUrl', 'wikibaseSiteId',
+    'sparqlEndpointUrl'];
+
+// XML Schema datatypes of SPARQL literals that are returned as numbers
+var XSD_NUMBERS = ['integer', 'decimal', 'double', 'float', 'int', 'long',
+    'short', 'byte', 'nonNegativeInteger', 'positiveInteger',
+    'nonPositiveInteger', 'negativeInteger', 'unsignedInt', 'unsignedLong',
+    'unsignedShort', 'unsignedByte'];
+
+// Stop following API continuation after this many results by default
+var MAX_RESULTS = 10000;
+
+// The MediaWiki API accepts up to 50 titles per request
+var MAX_TITLES = 50;
+
+// The Wikidata property for reference URLs
+var REFERENCE_URL_PROPERTY = 'P854';
+
+// Options of the Wikimedia pageviews API
+var PAGEVIEWS_GRANULARITIES = ['daily', 'monthly'];
+var PAGEVIEWS_ACCESS = ['all-access', 'desktop', 'mobile-app', 'mobile-web'];
+var PAGEVIEWS_AGENTS = ['all-agents', 'user', 'spider', 'automated'];
+
+// Prefix of Wikidata entity URIs, like those of quantity units and globes
+var WIKIDATA_ENTITY_URI = 'http://www.wikidata.org/entity/';
+
+// The calendar model of dates written to Wikidata
+var GREGORIAN_CALENDAR = WIKIDATA_ENTITY_URI + 'Q1985727';
+
+// Types of category members
+var CATEGORY_MEMBER_TYPES = ['page', 'subcat', 'file'];
+
+// Google Sheets cells hold at most 50,000 characters
+var MAX_CELL_LENGTH = 50000;
+
+// Link graph exports crawl this many links away from the seed article
+var LINK_GRAPH_DEPTH = 2;
+
+// Default number of articles in a link graph export
+var LINK_GRAPH_NODES = 100;
+
+// Maximum number of articles in a link graph export, each one costs up to
+// three requests
+var LINK_GRAPH_MAX_NODES = 500;
+
+// The sheet that changes of watched articles are written to
+var CHANGES_SHEET_NAME = 'Changes';
+
+// Error types reported by the custom functions
+var ERRORS = {
+  MISSING: 'Missing page',
+  INPUT: 'Invalid input',
+  NETWORK: 'Network error',
+  THROTTLED: 'Rate limited',
+  PARSE: 'Unexpected API response'
+};
+
+// How errors are reported: as "#WIKI!" message, thrown, or as empty cell
+var ERROR_MODES = ['message', 'throw', 'quiet'];
+
+// Greater than zero while a custom function is called by another one
+var nestingLevel_ = 0;
+
+// True while responses must be fetched fresh, cached ones are not read
+var skipCacheReads_ = false;
+
+// The properties of the current document, read once per execution
+var documentProperties_ = null;
+
+// Cache lifetimes in seconds, CacheService keeps values for at most 6 hours
+var CACHE_TTLS = {
+  PAST_METRICS: 21600,
+  DEFAULT: 3600,
+  SEARCH: 300
+};
+
+// CacheService values are limited to 100 KB, leave room for multi-byte text
+var CACHE_CHUNK_SIZE = 25000;
+
+// Responses that need more chunks than this are not cached
+var CACHE_MAX_CHUNKS = 40;
+
+// Number of requests that are sent at once when fetching in parallel
+var MAX_PARALLEL_REQUESTS = 20;
+
+// Maximum number of days whose top pageviews are summed, one request per day
+var MAX_TOP_DAYS = 31;
+
+/**
+ * An error of one of the `ERRORS` types.
+ *
+ * @constructor
+ * @param {string} type The error type.
+ * @param {string=} opt_message The detailed error message (optional).
+ */
+function WikiError_(type, opt_message) {
+  'use strict';
+  this.name = 'WikiError';
+  this.type = type;
+  this.message = type + (opt_message ? ': ' + opt_message : '');
+}
+WikiError_.prototype = Object.create(Error.prototype);
+WikiError_.prototype.constructor = WikiError_;
+
+/**
+ * Returns the properties of the current document, or the user properties when
+ * running outside of a document, so settings are never shared between users.
+ *
+ * @return {PropertiesService.Properties} The properties.
+ */
+function getDocumentProperties_() {
+  'use strict';
+  return PropertiesService.getDocumentProperties() ||
+      PropertiesService.getUserProperties();
+}
+
+/**
+ * Returns a property of the current document. The properties are read once
+ * per execution, as they are needed for every request.
+ *
+ * @param {string} name The name of the property.
+ * @return {?string} The value, or null if it is not set.
+ */
+function getDocumentProperty_(name) {
+  'use strict';
+  if (!documentProperties_) {
+    documentProperties_ = getDocumentProperties_().getProperties();
+  }
+  return documentProperties_[name] || null;
+}
+
+/**
+ * Sets a property of the current document, or deletes it if the value is
+ * empty.
+ *
+ * @param {string} name The name of the property.
+ * @param {string} value The value.
+ */
+function setDocumentProperty_(name, value) {
+  'use strict';
+  if (value) {
+    getDocumentProperties_().setProperty(name, value);
+  } else {
+    getDocumentProperties_().deleteProperty(name);
+  }
+  documentProperties_ = null;
+}
+
+/**
+ * Returns the error mode of the current document, defaults to "message".
+ *
+ * @return {string} One of the `ERROR_MODES`.
+ */
+function getErrorMode_() {
+  'use strict';
+  var mode = getDocumentProperty_('errorMode');
+  return ERROR_MODES.indexOf(mode) !== -1 ? mode : ERROR_MODES[0];
+}
+
+/**
+ * Turns an error caught in a custom function into its cell value according to
+ * the error mode, or rethrows it if the custom function was called by another.
+ *
+ * @param {Error} e The caught error.
+ * @return {string} The "#WIKI!" error message, or an empty string in quiet mode.
+ */
+function handleError_(e) {
+  'use strict';
+  var error = e instanceof WikiError_ ? e : new WikiError_(ERRORS.PARSE,
+      e.message);
+  if (nestingLevel_ > 0) {
+    throw error;
+  }
+  var mode = getErrorMode_();
+  if (mode === 'quiet') {
+    return '';
+  }
+  // Nested handlers pass the error on unchanged
+  if (mode === 'throw') {
+    throw error;
+  }
+  return '#WIKI! ' + error.message;
+}
+
+/**
+ * Calls a custom function from another one, so that errors are reported by
+ * the outermost custom function.
+ *
+ * @param {function(...*): *} func The custom function to call.
+ * @param {Array<*>} args The arguments.
+ * @return {*} The result of the custom function.
+ */
+function callNested_(func, args) {
+  'use strict';
+  nestingLevel_++;
+  try {
+    return func.apply(null, args);
+  } finally {
+    nestingLevel_--;
+  }
+}
+
+/**
+ * Returns the cache of the current document, or the user cache when running
+ * outside of a document, so responses are never shared between users.
+ *
+ * @return {CacheService.Cache} The cache.
+ */
+function getCache_() {
+  'use strict';
+  return CacheService.getDocumentCache() || CacheService.getUserCache();
+}
+
+/**
+ * Returns the cache key for a URL. Keys include the cache generation, so
+ * increasing it purges all previously cached responses.
+ *
+ * @param {string} url The URL.
+ * @return {string} The cache key.
+ */
+function getCacheKey_(url) {
+  'use strict';
+  var generation = getDocumentProperty_('cacheGeneration');
+  var digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, url,
+      Utilities.Charset.UTF_8);
+  return (generation || '0') + ':' + Utilities.base64Encode(digest);
+}
+
+/**
+ * Returns how long the response for a URL may be cached. Pageviews and other
+ * metrics for days in the past do not change anymore, search results do.
+ *
+ * @param {string} url The URL.
+ * @return {number} The cache lifetime in seconds.
+ */
+function getCacheTtl_(url) {
+  'use strict';
+  if (/[?&](list=search|list=wbsearch)|suggestqueries\.google/.test(url)) {
+    return CACHE_TTLS.SEARCH;
+  }
+  if (/wikimedia\.org\/api\/rest_v1\/metrics\//.test(url)) {
+    // Dates are either "YYYYMMDD(HH)" or "YYYY/MM/DD" path segments
+    var dates = (url.replace(/\/(\d{4})\/(\d{2})\/(\d{2})(?=\/|$)/,
+        '/$1$2$3').match(/\/\d{8}(?=\d{2}|\/|$)/g) || []).map(function(date) {
+          return date.substr(1);
+        });
+    var today = new Date().toISOString().substr(0, 10).replace(/-/g, '');
+    var isPast = dates.length > 0 && dates.every(function(date) {
+      return date < today;
+    });
+    return isPast ? CACHE_TTLS.PAST_METRICS : CACHE_TTLS.DEFAULT;
+  }
+  return CACHE_TTLS.DEFAULT;
+}
+
+/**
+ * Returns the cached response for a URL.
+ *
+ * @param {string} url The URL.
+ * @return {?string} The cached response text, or null if not cached.
+ */
+function getCached_(url) {
+  'use strict';
+  if (skipCacheReads_) {
+    return null;
+  }
+  var cache = getCache_();
+  var key = getCacheKey_(url);
+  var chunkCount = parseInt(cache.get(key), 10);
+  if (!chunkCount) {
+    return null;
+  }
+  var keys = [];
+  for (var i = 0; i < chunkCount; i++) {
+    keys.push(key + ':' + i);
+  }
+  var chunks = cache.getAll(keys);
+  var text = '';
+  for (var j = 0; j < chunkCount; j++) {
+    if (typeof chunks[keys[j]] !== 'string') {
+      return null;
+    }
+    text += chunks[keys[j]];
+  }
+  return text;
+}
+
+/**
+ * Caches the response for a URL, split in chunks that fit into the cache.
+ *
+ * @param {string} url The URL.
+ * @param {string} text The response text.
+ */
+function putCached_(url, text) {
+  'use strict';
+  var chunkCount = Math.ceil(text.length / CACHE_CHUNK_SIZE) || 1;
+  if (chunkCount > CACHE_MAX_CHUNKS) {
+    return;
+  }
+  var key = getCacheKey_(url);
+  var values = {};
+  for (var i = 0; i < chunkCount; i++) {
+    values[key + ':' + i] = text.substr(i * CACHE_CHUNK_SIZE,
+        CACHE_CHUNK_SIZE);
+  }
+  // Store the chunk count last, so readers never see incomplete chunks
+  var ttl = getCacheTtl_(url);
+  try {
+    var cache = getCache_();
+    cache.putAll(values, ttl);
+    cache.put(key, String(chunkCount), ttl);
+  } catch (e) {
+    // Caching is best effort, the response is still returned
+  }
+}
+
+/**
+ * Removes the cached response for a URL.
+ *
+ * @param {string} url The URL.
+ */
+function removeCached_(url) {
+  'use strict';
+  getCache_().remove(getCacheKey_(url));
+}
+
+/**
+ * Returns the string a request is cached under: its URL, followed by the body
+ * of POST requests.
+ *
+ * @param {string} url The URL of the request.
+ * @param {string=} opt_payload The form-encoded body of a POST request (optional).
+ * @return {string} The URL, or the URL and the body.
+ */
+function getRequestKey_(url, opt_payload) {
+  'use strict';
+  return opt_payload ? url + '\n' + opt_payload : url;
+}
+
+/**
+ * Fetches a URL, or returns its cached response, and turns failed requests
+ * into `WikiError_`s.
+ *
+ * @param {string} url The URL to fetch.
+ * @param {string=} opt_payload A form-encoded body to POST instead of a GET request, for parameters too long for URLs (optional).
+ * @param {Object<string, string>=} opt_headers Request headers to send in addition to `HEADERS` (optional).
+ * @return {string} The response text.
+ */
+function fetch_(url, opt_payload, opt_headers) {
+  'use strict';
+  var key = getRequestKey_(url, opt_payload);
+  var cached = getCached_(key);
+  if (cached !== null) {
+    return cached;
+  }
+  var headers = {};
+  [HEADERS.headers, opt_headers || {}].forEach(function(source) {
+    Object.keys(source).forEach(function(name) {
+      headers[name] = source[name];
+    });
+  });
+  var params = {
+    headers: headers,
+    muteHttpExceptions: true
+  };
+  if (opt_payload) {
+    params.method = 'post';
+    params.contentType = 'application/x-www-form-urlencoded';
+    params.payload = opt_payload;
+  }
+  var response;
+  try {
+    response = UrlFetchApp.fetch(url, params);
+  } catch (e) {
+    throw getFetchError_(e);
+  }
+  var text = getResponseText_(response);
+  putCached_(key, text);
+  return text;
+}
+
+/**
+ * Fetches several URLs in parallel, or returns their cached responses.
+ *
+ * @param {Array<string>} urls The URLs to fetch.
+ * @return {Array<(string|WikiError_)>} The response text of each URL, or its error.
+ */
+function fetchAll_(urls) {
+  'use strict';
+  var texts = urls.map(getCached_);
+  var pending = urls.filter(function(url, i) {
+    return texts[i] === null;
+  });
+  for (var i = 0; i < pending.length; i += MAX_PARALLEL_REQUESTS) {
+    var chunk = pending.slice(i, i + MAX_PARALLEL_REQUESTS);
+    var responses;
+    try {
+      responses = UrlFetchApp.fetchAll(chunk.map(function(url) {
+        return {
+          url: url,
+          headers: HEADERS.headers,
+          muteHttpExceptions: true
+        };
+      }));
+    } catch (e) {
+      throw getFetchError_(e);
+    }
+    responses.forEach(function(response, j) {
+      var index = urls.indexOf(chunk[j]);
+      try {
+        texts[index] = getResponseText_(response);
+        putCached_(chunk[j], texts[index]);
+      } catch (e) {
+        texts[index] = e;
+      }
+      // Fill in duplicate URLs
+      for (var k = index + 1; k < urls.length; k++) {
+        if (urls[k] === chunk[j]) {
+          texts[k] = texts[index];
+        }
+      }
+    });
+  }
+  return texts;
+}
+
+/**
+ * Returns the `WikiError_` for an exception thrown by `UrlFetchApp`.
+ *
+ * @param {Error} e The exception.
+ * @return {WikiError_} The error.
+ */
+function getFetchError_(e) {
+  'use strict';
+  return new WikiError_(/too many times|quota/i.test(e.message) ?
+      ERRORS.THROTTLED : ERRORS.NETWORK, e.message);
+}
+
+/**
+ * Returns the text of a response, or throws a `WikiError_` for its HTTP
+ * status code.
+ *
+ * @param {UrlFetchApp.HTTPResponse} response The response.
+ * @return {string} The response text.
+ */
+function getResponseText_(response) {
+  'use strict';
+  var code = response.getResponseCode();
+  if (code === 429) {
+    throw new WikiError_(ERRORS.THROTTLED, 'HTTP ' + code);
+  }
+  if (code === 400) {
+    throw new WikiError_(ERRORS.INPUT, 'HTTP ' + code);
+  }
+  if (code === 404) {
+    throw new WikiError_(ERRORS.MISSING, 'HTTP ' + code);
+  }
+  if (code >= 400) {
+    throw new WikiError_(ERRORS.NETWORK, 'HTTP ' + code);
+  }
+  return response.getContentText();
+}
+
+/**
+ * Returns the `WikiError_` for a MediaWiki API error code.
+ *
+ * @param {string} code The API error code.
+ * @param {string} info The API error description.
+ * @return {WikiError_} The error.
+ */
+function getApiError_(code, info) {
+  'use strict';
+  if (/ratelimited|maxlag|toomany/i.test(code)) {
+    return new WikiError_(ERRORS.THROTTLED, info);
+  }
+  if (/missing|nosuch|no-such/i.test(code)) {
+    return new WikiError_(ERRORS.MISSING, info);
+  }
+  return new WikiError_(ERRORS.INPUT, info);
+}
+
+/**
+ * Fetches and parses a JSON URL.
+ *
+ * @param {string} url The URL to fetch.
+ * @param {string=} opt_payload A form-encoded body to POST instead of a GET request (optional).
+ * @param {Object<string, string>=} opt_headers Request headers to send in addition to `HEADERS` (optional).
+ * @return {Object} The parsed JSON.
+ */
+function fetchJson_(url, opt_payload, opt_headers) {
+  'use strict';
+  return parseJson_(getRequestKey_(url, opt_payload),
+      fetch_(url, opt_payload, opt_headers));
+}
+
+/**
+ * Fetches and parses several JSON URLs in parallel.
+ *
+ * @param {Array<string>} urls The URLs to fetch.
+ * @return {Array<(Object|WikiError_)>} The parsed JSON of each URL, or its error.
+ */
+function fetchAllJson_(urls) {
+  'use strict';
+  return fetchAll_(urls).map(function(text, i) {
+    if (text instanceof WikiError_) {
+      return text;
+    }
+    try {
+      return parseJson_(urls[i], text);
+    } catch (e) {
+      return e;
+    }
+  });
+}
+
+/**
+ * Parses a JSON response, and removes it from the cache if it is invalid or
+ * an API error.
+ *
+ * @param {string} url The URL of the response, followed by the body of POST requests.
+ * @param {string} text The response text.
+ * @return {Object} The parsed JSON.
+ */
+function parseJson_(url, text) {
+  'use strict';
+  var json;
+  try {
+    json = JSON.parse(text);
+  } catch (e) {
+    removeCached_(url);
+    throw new WikiError_(ERRORS.PARSE, e.message);
+  }
+  if (json && json.error && json.error.code) {
+    removeCached_(url);
+    throw getApiError_(json.error.code, json.error.info);
+  }
+  return json;
+}
+
+/**
+ * Fetches and parses an XML URL.
+ *
+ * @param {string} url The URL to fetch.
+ * @return {XmlService.Document} The parsed XML document.
+ */
+function fetchXml_(url) {
+  'use strict';
+  var text = fetch_(url);
+  var document;
+  try {
+    document = XmlService.parse(text);
+  } catch (e) {
+    removeCached_(url);
+    throw new WikiError_(ERRORS.PARSE, e.message);
+  }
+  var error = document.getRootElement().getChild('error');
+  if (error) {
+    removeCached_(url);
+    throw getApiError_(error.getAttribute('code').getValue(),
+        error.getAttribute('info').getValue());
+  }
+  return document;
+}
+
+/**
+ * Throws a `WikiError_` if a page returned by the MediaWiki API is missing.
+ *
+ * @param {(XmlService.Element|Object)} page The page as XML element or JSON object.
+ * @param {string} title The title the page was requested with.
+ */
+function checkPage_(page, title) {
+  'use strict';
+  var isXml = page && typeof page.getAttribute === 'function';
+  // Files from Wikimedia Commons are missing locally, but known
+  if (!page ||
+      (isXml ? page.getAttribute('missing') && !page.getAttribute('known') :
+          page.missing !== undefined && !page.known)) {
+    throw new WikiError_(ERRORS.MISSING, title);
+  }
+  if (isXml ? page.getAttribute('invalid') : page.invalid !== undefined) {
+    throw new WikiError_(ERRORS.INPUT, title);
+  }
+}
+
+/**
+ * Returns the API endpoint settings of the current document. Empty settings
+ * mean the Wikimedia defaults.
+ *
+ * @return {{mediaWikiApiUrl: string, wikibaseApiUrl: string, wikibaseSiteId: string, sparqlEndpointUrl: string}} The MediaWiki action API URL, the Wikibase API URL, the site ID of the MediaWiki in Wikibase sitelinks, and the SPARQL endpoint URL.
+ */
+function getSettings_() {
+  'use strict';
+  var settings = {};
+  SETTINGS.forEach(function(setting) {
+    settings[setting] = getDocumentProperty_(setting) || '';
+  });
+  return settings;
+}
+
+/**
+ * Returns the MediaWiki action API URL of a Wikimedia site, or the configured
+ * MediaWiki action API URL.
+ *
+ * @param {string} host The host name of the site, like "de.wikipedia.org".
+ * @return {string} The API URL.
+ */
+function getApiUrl_(host) {
+  'use strict';
+  return getSettings_().mediaWikiApiUrl || 'https://' + host + '/w/api.php';
+}
+
+/**
+ * Returns the Wikidata API URL, or the configured Wikibase API URL.
+ *
+ * @return {string} The API URL.
+ */
+function getWikibaseApiUrl_() {
+  'use strict';
+  return getSettings_().wikibaseApiUrl || WIKIDATA_API_URL;
+}
+
+/**
+ * Returns the site ID of a site in Wikibase sitelinks, or the configured site
+ * ID of the MediaWiki.
+ *
+ * @param {string} site The site ID of a Wikimedia site, like "dewiki".
+ * @return {string} The site ID.
+ */
+function getSiteId_(site) {
+  'use strict';
+  return getSettings_().wikibaseSiteId || site;
+}
+
+/**
+ * Splits text in the format "language:Text" ("de:Berlin"),
+ * "language.project:Text" ("en.wikivoyage:Berlin"), or "site:Text"
+ * ("commons:Category:Berlin") into the Wikimedia site and the text. Prefixes
+ * that are not lowercase, like "Category:", or not a known language or site,
+ * like "mw:", are part of the text, which then is on the Wikipedia in the
+ * default language.
+ *
+ * @param {string} text The text, optionally prefixed with a site.
+ * @return {{language: string, project: string, host: string, site: string, text: string}} The language, the project, the host name and the site ID ("dewiki"), and the text.
+ */
+function parseSitePrefix_(text) {
+  'use strict';
+  text = String(text).trim();
+  var match = /^([a-z][a-z0-9-]*)(?:\.([a-z]+))?:(.*)$/.exec(text);
+  if (match && !match[2] && !SITES[match[1]] &&
+      LANGUAGES.indexOf(match[1]) === -1) {
+    match = null;
+  }
+  var language = match ? match[1] : DEFAULT_LANGUAGE;
+  var project = match && match[2] ? match[2] : 'wikipedia';
+  text = match ? match[3].trim() : text;
+  if (match && !match[2] && SITES[language]) {
+    return {
+      language: DEFAULT_LANGUAGE,
+      project: language,
+      host: SITES[language],
+      site: language + 'wiki',
+      text: text
+    };
+  }
+  if (LANGUAGES.indexOf(language) === -1) {
+    throw new WikiError_(ERRORS.INPUT, 'Unknown language "' + language + '"');
+  }
+  if (PROJECTS.indexOf(project) === -1) {
+    throw new WikiError_(ERRORS.INPUT, 'Unknown project "' + project + '"');
+  }
+  return {
+    language: language,
+    project: project,
+    host: language + '.' + project + '.org',
+    site: language + (project === 'wikipedia' ? 'wiki' : project),
+    text: text
+  };
+}
+
+/**
+ * Returns the site prefix of a parsed article or site, the inverse of
+ * `parseSitePrefix_`.
+ *
+ * @param {{language: string, project: string}} parsed The parsed article or site.
+ * @return {string} The prefix without colon ("de", "en.wikivoyage", or "commons").
+ */
+function getSitePrefix_(parsed) {
+  'use strict';
+  if (SITES[parsed.project]) {
+    return parsed.project;
+  }
+  return parsed.project === 'wikipedia' ? parsed.language :
+      parsed.language + '.' + parsed.project;
+}
+
+/**
+ * Decodes a percent-encoded title, titles with a literal "%" stay unchanged.
+ *
+ * @param {string} title The title.
+ * @return {string} The decoded title.
+ */
+function decodeTitle_(title) {
+  'use strict';
+  try {
+    return decodeURIComponent(title);
+  } catch (e) {
+    return title;
+  }
+}
+
+/**
+ * Parses a Wikipedia article given in one of the formats
+ * "language:Article_Title" ("de:Berlin"), "Article_Title" (in the default
+ * language), "https://de.wikipedia.org/wiki/Berlin" (also mobile and
+ * "index.php?title=" or "?curid=" links), or a Wikidata qid ("Q64"). Pages of
+ * other Wikimedia projects can be given with a site prefix like in
+ * "en.wikivoyage:Berlin" or "commons:Category:Berlin", or by their links. Page
+ * IDs and qids are resolved to titles with an API request, qids to the
+ * article linked from the item in the default language.
+ *
+ * @param {string} article The Wikipedia article.
+ * @param {boolean=} opt_keepItems Whether to return qids as the item itself instead of resolving them to its article, for functions that query Wikidata anyway (optional).
+ * @return {{language: string, project: string, host: string, site: string, title: string, qid: ?string}} The language, the project, the host name and the site ID of the article's site, the title, and the qid if the article was given as Wikidata item.
+ */
+function parseArticle_(article, opt_keepItems) {
+  'use strict';
+  article = String(article).trim();
+  var parsed;
+  var title;
+  var pageId;
+  var url = /^(?:https?:)?\/\/([^\/?#]+)([^?#]*)(?:\?([^#]*))?/i.exec(article);
+  if (url) {
+    var host = url[1].toLowerCase().replace(/(^|\.)m\./, '$1');
+    var params = {};
+    (url[3] || '').split('&').forEach(function(param) {
+      var pair = param.split('=');
+      params[pair[0]] = decodeTitle_((pair[1] || '').replace(/\+/g, ' '));
+    });
+    var path = /^\/(?:wiki|[a-z]+-[a-z]+)\/(.+)$/.exec(url[2]);
+    title = path ? decodeTitle_(path[1]) : params.title;
+    pageId = params.curid;
+    var site = Object.keys(SITES).filter(function(key) {
+      return SITES[key].replace(/^www\./, '') === host.replace(/^www\./, '');
+    })[0];
+    var hostMatch = /^([a-z][a-z0-9-]*)\.([a-z]+)\.org$/.exec(host);
+    // Links to a configured MediaWiki go to its API anyway
+    var isConfiguredHost = getSettings_().mediaWikiApiUrl
+        .split('/')[2] === url[1].toLowerCase();
+    if (!site && !isConfiguredHost &&
+        !(hostMatch && PROJECTS.indexOf(hostMatch[2]) !== -1)) {
+      throw new WikiError_(ERRORS.INPUT, 'No Wikimedia URL: ' + article);
+    }
+    parsed = parseSitePrefix_(site ? site + ':' : isConfiguredHost ? '' :
+        hostMatch[1] + '.' + hostMatch[2] + ':');
+  } else if (/^Q\d+$/.test(article)) {
+    parsed = parseSitePrefix_('');
+    title = opt_keepItems ? article : getSitelinkTitle_(article, parsed.site);
+  } else {
+    parsed = parseSitePrefix_(article);
+    title = decodeTitle_(parsed.text);
+  }
+  if (!title && /^\d+$/.test(pageId)) {
+    var json = fetchJson_(getApiUrl_(parsed.host) +
+        '?action=query' +
+        '&format=json' +
+        '&formatversion=2' +
+        '&pageids=' + pageId);
+    checkPage_(json.query.pages[0], parsed.site + ':' + pageId);
+    title = json.query.pages[0].title;
+  }
+  var isItem = /^Q\d+$/.test(title) &&
+      (parsed.project === 'wikidata' || (opt_keepItems && title === article));
+  return {
+    language: parsed.language,
+    project: parsed.project,
+    host: parsed.host,
+    site: parsed.site,
+    title: title || '',
+    qid: isItem ? title : null
+  };
+}
+
+/**
+ * Returns the title of the article a Wikidata item links to on a site.
+ *
+ * @param {string} qid The qid of the item ("Q64").
+ * @param {string} site The site ID of the article's site ("enwiki").
+ * @return {string} The title of the article.
+ */
+function getSitelinkTitle_(qid, site) {
+  'use strict';
+  var siteId = getSiteId_(site);
+  var json = fetchJson_(getWikibaseApiUrl_() +
+      '?action=wbgetentities' +
+      '&format=json' +
+      '&props=sitelinks' +
+      '&ids=' + qid +
+      '&sitefilter=' + siteId);
+  var entity = json.entities[qid];
+  if (!entity || entity.missing !== undefined) {
+    throw new WikiError_(ERRORS.MISSING, qid);
+  }
+  var sitelink = (entity.sitelinks || {})[siteId];
+  if (!sitelink) {
+    throw new WikiError_(ERRORS.MISSING, siteId + ':' + qid);
+  }
+  return sitelink.title;
+}
+
+/**
+ * Returns the maximum number of results for an `opt_limit` argument.
+ *
+ * @param {(number|string)=} opt_limit The maximum number of results, or "all" for no limit (optional).
+ * @return {number} The maximum number of results.
+ */
+function getLimit_(opt_limit) {
+  'use strict';
+  if (/^all$/i.test(opt_limit)) {
+    return Infinity;
+  }
+  var limit = parseInt(opt_limit, 10);
+  return limit > 0 ? limit : MAX_RESULTS;
+}
+
+/**
+ * Fetches a MediaWiki API query and follows its `continue` tokens until all
+ * results or the requested number of results have been retrieved.
+ *
+ * @param {string} url The MediaWiki API URL with "format=xml" or "format=json".
+ * @param {function(Object): Array} getEntries Returns the results of one response, which is passed as parsed XML document or JSON object.
+ * @param {(number|string)=} opt_limit The maximum number of results, or "all" for no limit (optional).
+ * @return {Array} The list of results.
+ */
+function fetchAllPages_(url, getEntries, opt_limit) {
+  'use strict';
+  var limit = getLimit_(opt_limit);
+  var isJson = /[?&]format=json(&|$)/.test(url);
+  var results = [];
+  var continuation = '';
+  do {
+    var response;
+    var params = {};
+    if (isJson) {
+      response = fetchJson_(url + continuation);
+      params = response.continue || {};
+    } else {
+      response = fetchXml_(url + continuation);
+      var element = response.getRootElement().getChild('continue');
+      if (element) {
+        element.getAttributes().forEach(function(attribute) {
+          params[attribute.getName()] = attribute.getValue();
+        });
+      }
+    }
+    results = results.concat(getEntries(response));
+    continuation = Object.keys(params).map(function(param) {
+      return '&' + param + '=' + encodeURIComponent(params[param]);
+    }).join('');
+  } while (continuation && results.length < limit);
+  return results.slice(0, limit);
+}
+
+/**
+ * Fetches MediaWiki API page information for a range of Wikipedia articles,
+ * batching up to 50 titles per request, and returns one row per article in
+ * the same order as the range. The range must be a single column, so each
+ * row of the result lines up with its row of the range.
+ *
+ * @param {Array<Array<string>>} articles The single-column range of Wikipedia articles in the format "language:Article_Title" ("de:Berlin").
+ * @param {string} query The query parameters that select the page information, like "&prop=categories&cllimit=max".
+ * @param {function(Object, string): Array<*>} getRow Returns the row for a page object of the JSON API response and the host of its wiki.
+ * @param {string=} opt_prefix The prefix to add to each title, like "File:" (optional).
+ * @return {Array<Array<*>>} The rows, padded to equal length.
+ */
+function fetchPagesBatch_(articles, query, getRow, opt_prefix) {
+  'use strict';
+  var isColumn = articles.every(function(row) {
+    return !Array.isArray(row) || row.length <= 1;
+  });
+  if (!isColumn) {
+    throw new WikiError_(ERRORS.INPUT, 'The range must be a single column');
+  }
+  var inputs = [];
+  articles.forEach(function(row) {
+    (Array.isArray(row) ? row : [row]).forEach(function(article) {
+      var prefix = opt_prefix || '';
+      try {
+        var parsed = parseArticle_(article);
+        var title = parsed.title.replace(/\s/g, '_');
+        inputs.push(title ? {
+          article: String(article).trim(),
+          host: parsed.host,
+          title: title.indexOf(prefix) === 0 ? title : prefix + title
+        } : null);
+      } catch (e) {
+        inputs.push({error: e});
+      }
+    });
+  });
+  // Group titles by site, so each request goes to one wiki
+  var titlesByHost = {};
+  inputs.forEach(function(input) {
+    if (input && !input.error) {
+      titlesByHost[input.host] = titlesByHost[input.host] || [];
+      if (titlesByHost[input.host].indexOf(input.title) === -1) {
+        titlesByHost[input.host].push(input.title);
+      }
+    }
+  });
+  var pages = {};
+  var resolved = {};
+  Object.keys(titlesByHost).forEach(function(host) {
+    var titles = titlesByHost[host];
+    for (var i = 0; i < titles.length; i += MAX_TITLES) {
+      var url = getApiUrl_(host) +
+          '?action=query' +
+          '&format=json' +
+          '&formatversion=2' +
+          query +
+          '&titles=' + titles.slice(i, i + MAX_TITLES)
+              .map(encodeURIComponent).join('%7C');
+      fetchAllPages_(url, function(json) {
+        (json.query.normalized || []).concat(json.query.redirects || [])
+            .forEach(function(mapping) {
+              resolved[host + ':' + mapping.from] = mapping.to;
+            });
+        // Continued responses repeat pages with further list entries
+        (json.query.pages || []).forEach(function(page) {
+          var key = host + ':' + page.title;
+          if (!pages[key]) {
+            pages[key] = page;
+            return;
+          }
+          Object.keys(page).forEach(function(property) {
+            pages[key][property] = Array.isArray(pages[key][property]) ?
+                pages[key][property].concat(page[property]) : page[property];
+          });
+        });
+        return [];
+      }, 'all');
+    }
+  });
+  var rows = inputs.map(function(input) {
+    if (!input) {
+      return [''];
+    }
+    if (input.error) {
+      return [handleError_(input.error)];
+    }
+    var key = input.host + ':' + input.title;
+    // Follow title normalization first, then redirects
+    for (var i = 0; i < 2 && resolved[key]; i++) {
+      key = input.host + ':' + resolved[key];
+    }
+    try {
+      checkPage_(pages[key], input.article);
+      var row = getRow(pages[key], input.host);
+      return row.length > 0 ? row : [''];
+    } catch (e) {
+      return [handleError_(e)];
+    }
+  });
+  var width = Math.max.apply(null, rows.map(function(row) {
+    return row.length;
+  }));
+  return rows.map(function(row) {
+    while (row.length < width) {
+      row.push('');
+    }
+    return row;
+  });
+}
+
+/**
+ * Returns a number with its English ordinal suffix, like "19th".
+ *
+ * @param {number} n The number.
+ * @return {string} The ordinal number.
+ */
+function getOrdinal_(n) {
+  'use strict';
+  var suffixes = ['th', 'st', 'nd', 'rd'];
+  var rest = n % 100;
+  return n + (suffixes[(rest - 20) % 10] || suffixes[rest] || suffixes[0]);
+}
+
+/**
+ * Returns the date of a day and time of day in a time zone, so Sheets shows
+ * that day in a spreadsheet of the time zone, and not the day before or after.
+ *
+ * @param {number} year The astronomical year, 0 is 1 BCE.
+ * @param {number} month The month, 1 for January.
+ * @param {number} day The day of the month.
+ * @param {Array<number>} time The hours, minutes, and seconds.
+ * @param {string} timeZone The time zone of the spreadsheet.
+ * @return {Date} The date.
+ */
+function getZonedDate_(year, month, day, time, timeZone) {
+  'use strict';
+  var pad = function(number, length) {
+    return ('000' + number).slice(-length);
+  };
+  var format = function(year) {
+    return pad(year, 4) + '-' + pad(month, 2) + '-' + pad(day, 2) + ' ' +
+        time.map(function(part) {
+          return pad(part, 2);
+        }).join(':');
+  };
+  var pattern = 'yyyy-MM-dd HH:mm:ss';
+  if (year >= 1 && year <= 9999) {
+    return Utilities.parseDate(format(year), timeZone, pattern);
+  }
+  // Date patterns cannot express other years, use the offset of the year 2000
+  var date = new Date(Date.UTC(2000, month - 1, day, time[0], time[1],
+      time[2]));
+  var offset = Utilities.parseDate(format(2000), timeZone, pattern)
+      .getTime() - date.getTime();
+  date.setUTCFullYear(year);
+  return new Date(date.getTime() + offset);
+}
+
+/**
+ * Converts a Wikibase time value according to its precision: times with day
+ * precision become dates in the time zone of the spreadsheet, finer times
+ * become dates of their UTC time, months become "YYYY-MM" strings, years
+ * become numbers, and decades, centuries, and millennia become strings like
+ * "1870s", "19th century", or "2nd millennium". Years before the common era
+ * get a "BCE" suffix.
+ *
+ * @param {Object} value The Wikibase time value with `time` and `precision`.
+ * @param {string} timeZone The time zone of the spreadsheet.
+ * @return {(Date|number|string)} The converted time.
+ */
+function parseWikibaseTime_(value, timeZone) {
+  'use strict';
+  var match = /^([+-])(\d+)-(\d\d)-(\d\d)T(\d\d):(\d\d):(\d\d)Z$/.exec(
+      value.time);
+  if (!match) {
+    throw new WikiError_(ERRORS.PARSE, 'Unexpected time ' + value.time);
+  }
+  var year = parseInt(match[2], 10);
+  var bce = match[1] === '-' && year > 0;
+  var era = bce ? ' BCE' : '';
+  var precision = value.precision;
+  if (precision >= 11) {
+    // There is no year 0, so 1 BCE is the astronomical year 0
+    var astronomicalYear = bce ? 1 - year : year;
+    var time = match.slice(5, 8).map(function(part) {
+      return parseInt(part, 10);
+    });
+    if (precision === 11) {
+      return getZonedDate_(astronomicalYear, parseInt(match[3], 10),
+          parseInt(match[4], 10), time, timeZone);
+    }
+    var date = new Date(Date.UTC(2000, parseInt(match[3], 10) - 1,
+        parseInt(match[4], 10), time[0], time[1], time[2]));
+    date.setUTCFullYear(astronomicalYear);
+    return date;
+  }
+  if (precision === 10) {
+    return match[2] + '-' + match[3] + era;
+  }
+  if (precision === 8) {
+    return Math.floor(year / 10) * 10 + 's' + era;
+  }
+  if (precision === 7) {
+    return getOrdinal_(Math.floor((year - 1) / 100) + 1) + ' century' + era;
+  }
+  if (precision === 6) {
+    return getOrdinal_(Math.floor((year - 1) / 1000) + 1) + ' millennium' +
+        era;
+  }
+  return bce ? year + era : year;
+}
+
+/**
+ * Returns the languages of a language fallback chain.
+ *
+ * @param {(string|Array<string>)=} opt_language A language, a comma-separated list of languages ("de,en,mul"), or a range of languages, defaults to "en" (optional).
+ * @return {Array<string>} The list of languages.
+ */
+function parseLanguages_(opt_language) {
+  'use strict';
+  opt_language = opt_language || DEFAULT_LANGUAGE;
+  return (Array.isArray(opt_language) ?
+      [].concat.apply([], opt_language) : String(opt_language).split(','))
+      .map(function(lang) {
+        return String(lang).trim();
+      }).filter(Boolean);
+}
+
+/**
+ * Fetches the labels of Wikibase entities, 50 entities per request.
+ *
+ * @param {Array<string>} ids The entity IDs ("Q42", "P31").
+ * @param {Array<string>} languages The languages to fall back through.
+ * @return {Object<string, (string|boolean)>} The label of each entity by ID, or false if it has no label in any of the languages.
+ */
+function fetchLabels_(ids, languages) {
+  'use strict';
+  var labels = {};
+  ids = ids.filter(function(id, i) {
+    return ids.indexOf(id) === i;
+  });
+  for (var i = 0; i < ids.length; i += MAX_TITLES) {
+    var chunk = ids.slice(i, i + MAX_TITLES);
+    var url = getWikibaseApiUrl_() +
+        '?action=wbgetentities' +
+        '&languages=' + languages.map(encodeURIComponent).join('%7C') +
+        '&format=json' +
+        '&props=labels' +
+        '&ids=' + chunk.join('%7C');
+    var json = fetchJson_(url);
+    var entities = json.entities;
+    chunk.forEach(function(id) {
+      labels[id] = false;
+      var entityLabels = entities[id] && entities[id].labels;
+      if (!entityLabels) {
+        return;
+      }
+      // Use the first language of the fallback chain with a label
+      languages.some(function(lang) {
+        if (entityLabels[lang] && entityLabels[lang].value) {
+          labels[id] = entityLabels[lang].value;
+          return true;
+        }
+        return false;
+      });
+    });
+  }
+  return labels;
+}
+
+/**
+ * Returns the time zone of the spreadsheet, which dates in cells are in.
+ *
+ * @return {string} The time zone ID.
+ */
+function getTimeZone_() {
+  'use strict';
+  var spreadsheet = SpreadsheetApp.getActive();
+  return spreadsheet ? spreadsheet.getSpreadsheetTimeZone() :
+      Session.getScriptTimeZone();
+}
+
+/**
+ * Returns a date as "YYYYMMDD" day of the Wikimedia metrics API. Date cells
+ * are read in the time zone of the spreadsheet, so they denote the same day
+ * in UTC, which the metrics API uses.
+ *
+ * @param {(Date|string)} date The date, or a string in the format "YYYYMMDD" or "YYYY-MM-DD".
+ * @param {string} timeZone The time zone of the spreadsheet.
+ * @return {string} The date in the format "YYYYMMDD".
+ */
+function getMetricsDate_(date, timeZone) {
+  'use strict';
+  if (typeof date === 'object') {
+    return Utilities.formatDate(date, timeZone, 'yyyyMMdd');
+  }
+  var text = String(date).replace(/-/g, '');
+  if (!/^\d{8}(\d{2})?$/.test(text)) {
+    throw new WikiError_(ERRORS.INPUT, 'Invalid date ' + date);
+  }
+  return text.substr(0, 8);
+}
+
+/**
+ * Returns the UTC day a number of days ago as "YYYYMMDD" day of the Wikimedia
+ * metrics API.
+ *
+ * @param {number} days The number of days.
+ * @return {string} The date in the format "YYYYMMDD".
+ */
+function getMetricsDaysAgo_(days) {
+  'use strict';
+  return Utilities.formatDate(new Date(Date.now() - days * 24 * 60 * 60 * 1000),
+      'UTC', 'yyyyMMdd');
+}
+
+/**
+ * Converts a "YYYYMMDD" day or "YYYYMMDDHH" timestamp of the Wikimedia
+ * metrics API into a date that Sheets shows as the same day.
+ *
+ * @param {string} timestamp The timestamp.
+ * @param {string} timeZone The time zone of the spreadsheet.
+ * @return {Date} The date at midnight in the time zone of the spreadsheet.
+ */
+function parseMetricsDate_(timestamp, timeZone) {
+  'use strict';
+  return Utilities.parseDate(timestamp.substr(0, 8), timeZone, 'yyyyMMdd');
+}
+
+/**
+ * Adds a number of days to a "YYYYMMDD" day of the Wikimedia metrics API.
+ *
+ * @param {string} date The date in the format "YYYYMMDD".
+ * @param {number} days The number of days to add, negative to subtract.
+ * @return {string} The date in the format "YYYYMMDD".
+ */
+function addMetricsDays_(date, days) {
+  'use strict';
+  var time = Utilities.parseDate(date, 'UTC', 'yyyyMMdd').getTime();
+  return Utilities.formatDate(new Date(time + days * 24 * 60 * 60 * 1000),
+      'UTC', 'yyyyMMdd');
+}
+
+/**
+ * Returns every day of a period as "YYYYMMDD" days of the Wikimedia metrics
+ * API.
+ *
+ * @param {string} start The start date in the format "YYYYMMDD".
+ * @param {string} end The end date in the format "YYYYMMDD".
+ * @return {Array<string>} The days from old to new.
+ */
+function getMetricsDays_(start, end) {
+  'use strict';
+  var days = [];
+  for (var day = start; day <= end; day = addMetricsDays_(day, 1)) {
+    days.push(day);
+  }
+  return days;
+}
+
+/**
+ * Returns the Wikimedia metrics API URL of the pageviews of an article.
+ *
+ * @param {{host: string, title: string}} parsed The article as returned by `parseArticle_`.
+ * @param {string} start The start date in the format "YYYYMMDD".
+ * @param {string} end The end date in the format "YYYYMMDD".
+ * @param {string=} opt_granularity The granularity, "daily" or "monthly", defaults to "daily" (optional).
+ * @param {string=} opt_access The access method, defaults to "all-access" (optional).
+ * @param {string=} opt_agent The agent, defaults to "user" (optional).
+ * @return {string} The URL.
+ */
+function getPageviewsUrl_(parsed, start, end, opt_granularity, opt_access,
+    opt_agent) {
+  'use strict';
+  var granularity = opt_granularity || 'daily';
+  var access = opt_access || 'all-access';
+  var agent = opt_agent || 'user';
+  [
+    [granularity, PAGEVIEWS_GRANULARITIES],
+    [access, PAGEVIEWS_ACCESS],
+    [agent, PAGEVIEWS_AGENTS]
+  ].forEach(function(option) {
+    if (option[1].indexOf(option[0]) === -1) {
+      throw new WikiError_(ERRORS.INPUT, option[0]);
+    }
+  });
+  return 'https://wikimedia.org/api/rest_v1/metrics/pageviews/' +
+      'per-article' +
+      '/' + parsed.host +
+      '/' + access +
+      '/' + agent +
+      '/' + encodeURIComponent(parsed.title.replace(/\s/g, '_')) +
+      '/' + granularity +
+      '/' + start +
+      '/' + end;
+}
+
+/**
+ * Returns the pageviews of a Wikimedia metrics API response.
+ *
+ * @param {Object} json The parsed response.
+ * @return {Array<{timestamp: string, views: number}>} The pageviews from old to new, with "YYYYMMDD" timestamps.
+ */
+function parsePageviews_(json) {
+  'use strict';
+  return json.items.map(function(item) {
+    return {timestamp: item.timestamp.substr(0, 8), views: item.views};
+  });
+}
+
+/**
+ * Fetches the pageviews of an article from the Wikimedia metrics API.
+ *
+ * @param {{host: string, title: string}} parsed The article as returned by `parseArticle_`.
+ * @param {string} start The start date in the format "YYYYMMDD".
+ * @param {string} end The end date in the format "YYYYMMDD".
+ * @param {string=} opt_granularity The granularity, "daily" or "monthly", defaults to "daily" (optional).
+ * @param {string=} opt_access The access method, defaults to "all-access" (optional).
+ * @param {string=} opt_agent The agent, defaults to "user" (optional).
+ * @return {Array<{timestamp: string, views: number}>} The pageviews from old to new, with "YYYYMMDD" timestamps.
+ */
+function fetchPageviews_(parsed, start, end, opt_granularity, opt_access,
+    opt_agent) {
+  'use strict';
+  return parsePageviews_(fetchJson_(getPageviewsUrl_(parsed, start, end,
+      opt_granularity, opt_access, opt_agent)));
+}
+
+/**
+ * Returns Wikipedia synonyms (redirects) for a Wikipedia article.
+ *
+ * @param {string} article The Wikipedia article in the format "language:Article_Title" ("de:Berlin") to get synonyms for.
+ * @param {string=} opt_namespaces Only include pages in these namespaces (optional).
+ * @param {number=} opt_limit The maximum number of results, or "all" for no limit, defaults to 10000 (optional).
+ * @return {Array<string>} The list of synonyms.
+ * @customfunction
+ */
+function WIKISYNONYMS(article, opt_namespaces, opt_limit) {
+  'use strict';
+  if (!article) {
+    return '';
+  }
+  var results = [];
+  try {
+    var parsed = parseArticle_(article);
+    var title = parsed.title;
+    if (!title) {
+      return '';
+    }
+    var url = getApiUrl_(parsed.host) +
+        '?action=query' +
+        '&blnamespace=' + (opt_namespaces ?
+            encodeURIComponent(opt_namespaces) : '0') +
+        '&list=backlinks' +
+        '&blfilterredir=redirects' +
+        '&bllimit=max' +
+        '&format=xml' +
+        '&bltitle=' + encodeURIComponent(title.replace(/\s/g, '_'));
+    var entries = fetchAllPages_(url, function(document) {
+      return document.getRootElement().getChild('query')
+          .getChild('backlinks').getChildren('bl');
+    }, opt_limit);
+    for (var i = 0; i < entries.length; i++) {
+      var text = entries[i].getAttribute('title').getValue();
+      results[i] = text;
+    }
+  } catch (e) {
+    return handleError_(e);
+  }
+  return results.length > 0 ? results : '';
+}
+
+/**
+ * Returns Wikipedia articles around a Wikipedia article or around a point.
+ *
+ * @param {string} articleOrPoint The Wikipedia article in the format "language:Article_Title" ("de:Berlin") or the point in the format "language:Latitude,Longitude" ("en:37.786971,-122.399677") to get articles around for.
+ * @param {number} radius The search radius in meters.
+ * @param {boolean=} opt_includeDistance Whether to include the distance in the output, defaults to false (optional).
+ * @param {string=} opt_namespaces Only include pages in these namespaces (optional).
+ * @return {Array<string>} The list of articles around the given article or point.
+ * @customfunction
+ */
+function WIKIARTICLESAROUND(articleOrPoint, radius, opt_includeDistance,
+    opt_namespaces) {
+  'use strict';
+  if (!articleOrPoint) {
+    return '';
+  }
+  var results = [];
+  try {
+    var parsed = parseArticle_(articleOrPoint);
+    var rest = parsed.title;
+    var title = false;
+    var latitude = false;
+    var longitude = false;
+    if (/^[-+]?([1-8]?\d(\.\d+)?|90(\.0+)?),\s*[-+]?(180(\.0+)?|((1[0-7]\d)|([1-9]?\d))(\.\d+)?)$/.test(rest)) {
+      latitude = rest.split(',')[0];
+      longitude = rest.split(',')[1];
+    } else {
+      title = rest;
+    }
+    if ((!title) && !(latitude && longitude)) {
+      return;
+    }
+    var url = getApiUrl_(parsed.host);
+    if (title) {
+      url += '?action=query' +
+          '&list=geosearch' +
+          '&format=xml' +
+          '&gslimit=max' +
+          '&gsradius=' + radius +
+          '&gspage=' + encodeURIComponent(title.replace(/\s/g, '_'));
+    } else {
+      url += '?action=query' +
+          '&list=geosearch' +
+          '&format=xml&gslimit=max' +
+          '&gsradius=' + radius +
+          '&gscoord=' + latitude + '%7C' + longitude;
+    }
+    url += '&gsnamespace=' + (opt_namespaces ?
+        encodeURIComponent(opt_namespaces) : '0');
+    var document = fetchXml_(url);
+    var entries = document.getRootElement().getChild('query')
+        .getChild('geosearch').getChildren('gs');
+    for (var i = 0; i < entries.length; i++) {
+      var title = entries[i].getAttribute('title').getValue();
+      var lat = entries[i].getAttribute('lat').getValue();
+      var lon = entries[i].getAttribute('lon').getValue();
+      if (opt_includeDistance) {
+        var dist = entries[i].getAttribute('dist').getValue();
+        results[i] = [title, lat, lon, dist];
+      } else {
+        results[i] = [title, lat, lon];
+      }
+    }
+  } catch (e) {
+    return handleError_(e);
+  }
+  return results.length > 0 ? results : '';
+}
+
+/**
+ * Returns Wikipedia translations (language links) for a Wikipedia article.
+ *
+ * @param {string} article The Wikipedia article in the format "language:Article_Title" ("de:Berlin"), or a single-column range of such articles, to get translations for.
+ * @param {Array<string>=} opt_targetLanguages The list of languages to limit the results to, required for a range of articles (optional).
+ * @param {boolean=} opt_skipHeader Whether to skip the header, defaults to false (optional).
+ * @return {Array<string>} The list of translations, or for a range of articles one row per article with one column per target language.
+ * @customfunction
+ */
+function WIKITRANSLATE(article, opt_targetLanguages, opt_skipHeader,
+    _opt_returnAsObject) {
+  'use strict';
+  if (!article) {
+    return '';
+  }
+  var results = {};
+  opt_targetLanguages = opt_targetLanguages || [];
+  opt_targetLanguages = Array.isArray(opt_targetLanguages) ?
+      opt_targetLanguages : [opt_targetLanguages];
+  var temp = {};
+  // Ranges of target languages are passed as nested arrays
+  [].concat.apply([], opt_targetLanguages).forEach(function(lang) {
+    temp[lang] = true;
+  });
+  opt_targetLanguages = Object.keys(temp);
+  try {
+    if (Array.isArray(article)) {
+      if (!opt_targetLanguages.length) {
+        throw new WikiError_(ERRORS.INPUT,
+            'Target languages are required for a range of articles');
+      }
+      return fetchPagesBatch_(article, '&prop=langlinks&lllimit=max',
+          function(page) {
+            var translations = {};
+            (page.langlinks || []).forEach(function(langlink) {
+              translations[langlink.lang] = langlink.title;
+            });
+            return opt_targetLanguages.map(function(targetLanguage) {
+              // Like for single articles, fall back to the original title
+              return translations[targetLanguage] || page.title;
+            });
+          });
+    }
+    var parsed = parseArticle_(article);
+    var language = parsed.language;
+    var title = parsed.title;
+    if (!title) {
+      return '';
+    }
+    opt_targetLanguages.forEach(function(targetLanguage) {
+      if (targetLanguage) {
+        results[targetLanguage] = title.replace(/_/g, ' ');
+      }
+    });
+    var url = getApiUrl_(parsed.host) +
+        '?action=query' +
+        '&prop=langlinks' +
+        '&format=xml' +
+        '&lllimit=max' +
+        '&titles=' + encodeURIComponent(title.replace(/\s/g, '_'));
+    var document = fetchXml_(url);
+    var page = document.getRootElement().getChild('query').getChild('pages')
+        .getChild('page');
+    checkPage_(page, language + ':' + title);
+    var langlinks = page.getChild('langlinks');
+    var entries = langlinks ? langlinks.getChildren('ll') : [];
+    var targetLanguagesSet = opt_targetLanguages.length > 0;
+    for (var i = 0; i < entries.length; i++) {
+      var text = entries[i].getText();
+      var lang = entries[i].getAttribute('lang').getValue();
+      if ((targetLanguagesSet) && (opt_targetLanguages.indexOf(lang) === -1)) {
+        continue;
+      }
+      results[lang] = text;
+    }
+    title = title.replace(/_/g, ' ');
+    results[language] = title;
+  } catch (e) {
+    return handleError_(e);
+  }
+  if (_opt_returnAsObject) {
+    return results;
+  }
+  var arrayResults = [];
+  for (var lang in results) {
+    if (opt_skipHeader) {
+      arrayResults.push(results[lang]);
+    } else {
+      arrayResults.push([lang, results[lang]]);
+    }
+  }
+  return arrayResults.length > 0 ? arrayResults : '';
+}
+
+/**
+ * Returns Wikipedia translations (language links) and synonyms (redirects) for a Wikipedia article.
+ *
+ * @param {string} article The Wikipedia article in the format "language:Article_Title" ("de:Berlin") to get translations and synonyms for.
+ * @param {Array<string>=} opt_targetLanguages The list of languages to limit the results to (optional).
+ * @return {Array<string>} The list of translations and synonyms.
+ * @customfunction
+ */
+function WIKIEXPAND(article, opt_targetLanguages) {
+  'use strict';
+  if (!article) {
+    return '';
+  }
+  var results = [];
+  try {
+    var parsed = parseArticle_(article);
+    var title = parsed.title;
+    if (!title) {
+      return '';
+    }
+    opt_targetLanguages = opt_targetLanguages || [];
+    opt_targetLanguages = Array.isArray(opt_targetLanguages) ?
+        opt_targetLanguages : [opt_targetLanguages];
+    var temp = {};
+    opt_targetLanguages.forEach(function(lang) {
+      temp[lang] = true;
+    });
+    opt_targetLanguages = Object.keys(temp);
+    var translations = callNested_(WIKITRANSLATE,
+        [article, opt_targetLanguages, false, true]);
+    var i = 0;
+    for (var lang in translations) {
+      // Language links point to the same project in other languages
+      var project = parsed.project === 'wikipedia' ? '' : '.' + parsed.project;
+      var synonyms = callNested_(WIKISYNONYMS,
+          [lang + project + ':' + translations[lang]]);
+      results[i] = [lang].concat(([translations[lang]].concat(synonyms)));
+      i++;
+    }
+  } catch (e) {
+    return handleError_(e);
+  }
+  return results;
+}
+
+/**
+ * Returns the Wikimedia Commons link for a file.
+ *
+ * @param {string} fileName The Wikimedia Commons file name in the format "language:File_Name" ("en:Flag of Berlin.svg"), or a single-column range of such file names, to get the link for.
+ * @return {string} The link of the Wikimedia Commons file, or for a range of file names one link per file name.
+ * @customfunction
+ */
+function WIKICOMMONSLINK(fileName) {
+  'use strict';
+  if (!fileName) {
+    return '';
+  }
+  var results = [];
+  try {
+    if (Array.isArray(fileName)) {
+      return fetchPagesBatch_(fileName, '&prop=imageinfo&iiprop=url',
+          function(page) {
+            if (!page.imageinfo) {
+              throw new WikiError_(ERRORS.MISSING, page.title);
+            }
+            return [page.imageinfo[0].url];
+          }, 'File:');
+    }
+    var parsed = parseArticle_(fileName);
+    var language = parsed.language;
+    var title = parsed.title.replace(/^File:/, '');
+    if (!title) {
+      return '';
+    }
+    var url = getApiUrl_(parsed.host) +
+        '?action=query' +
+        '&prop=imageinfo' +
+        '&iiprop=url' +
+        '&format=xml' +
+        '&titles=File:' + encodeURIComponent(title.replace(/\s/g, '_'));
+    var document = fetchXml_(url);
+    var imageinfo = document.getRootElement().getChild('query')
+        .getChild('pages').getChild('page').getChild('imageinfo');
+    if (!imageinfo) {
+      throw new WikiError_(ERRORS.MISSING, language + ':File:' + title);
+    }
+    var entry = imageinfo.getChild('ii');
+    var fileUrl = entry.getAttribute('url').getValue();
+    results[0] = fileUrl;
+  } catch (e) {
+    return handleError_(e);
+  }
+  return results.length > 0 ? results : '';
+}
+
+/**
+ * Returns Wikipedia category members for a Wikipedia category.
+ *
+ * @param {string} category The Wikipedia category in the format "language:Category_Title" ("en:Category:Visitor_attractions_in_Berlin") to get members for.
+ * @param {string=} opt_namespaces Only include pages in these namespaces (optional).
+ * @param {number=} opt_limit The maximum number of results, or "all" for no limit, defaults to 10000 (optional).
+ * @return {Array<string>} The list of category members.
+ * @customfunction
+ */
+function WIKICATEGORYMEMBERS(category, opt_namespaces, opt_limit) {
+  'use strict';
+  if (!category) {
+    return '';
+  }
+  var results = [];
+  try {
+    var parsed = parseArticle_(category);
+    var title = parsed.title;
+    if (!title) {
+      return '';
+    }
+    var url = getApiUrl_(parsed.host) +
+        '?action=query' +
+        '&list=categorymembers' +
+        '&cmlimit=max' +
+        '&cmprop=title' +
+        '&cmtype=subcat%7Cpage' +
+        '&format=xml' +
+        '&cmnamespace=' + (opt_namespaces ?
+            encodeURIComponent(opt_namespaces) : '0') +
+        '&cmtitle=' + encodeURIComponent(title.replace(/\s/g, '_'));
+    var entries = fetchAllPages_(url, function(document) {
+      return document.getRootElement().getChild('query')
+          .getChild('categorymembers').getChildren('cm');
+    }, opt_limit);
+    for (var i = 0; i < entries.length; i++) {
+      var text = entries[i].getAttribute('title').getValue();
+      results[i] = text;
+    }
+  } catch (e) {
+    return handleError_(e);
+  }
+  return results.length > 0 ? results : '';
+}
+
+/**
+ * Returns Wikipedia subcategories for a Wikipedia category.
+ *
+ * @param {string} category The Wikipedia category in the format "language:Category_Title" ("en:Category:Visitor_attractions_in_Berlin") to get subcategories for.
+ * @param {string=} opt_namespaces Only include pages in these namespaces (optional).
+ * @param {number=} opt_limit The maximum number of results, or "all" for no limit, defaults to 10000 (optional).
+ * @return {Array<string>} The list of subcategories.
+ * @customfunction
+ */
+function WIKISUBCATEGORIES(category, opt_namespaces, opt_limit) {
+  'use strict';
+  if (!category) {
+    return '';
+  }
+  var results = [];
+  try {
+    var parsed = parseArticle_(category);
+    var title = parsed.title;
+    if (!title) {
+      return '';
+    }
+    var url = getApiUrl_(parsed.host) +
+        '?action=query' +
+        '&list=categorymembers' +
+        '&cmlimit=max' +
+        '&cmprop=title' +
+        '&cmtype=subcat%7Cpage' +
+        '&format=xml' +
+        '&cmnamespace=' + (opt_namespaces ?
+            encodeURIComponent(opt_namespaces) : '14') +
+        '&cmtitle=' + encodeURIComponent(title.replace(/\s/g, '_'));
+    var entries = fetchAllPages_(url, function(document) {
+      return document.getRootElement().getChild('query')
+          .getChild('categorymembers').getChildren('cm');
+    }, opt_limit);
+    for (var i = 0; i < entries.length; i++) {
+      var text = entries[i].getAttribute('title').getValue();
+      results[i] = text;
+    }
+  } catch (e) {
+    return handleError_(e);
+  }
+  return results.length > 0 ? results : '';
+}
+
+/**
+ * Fetches the members of several categories of a wiki in parallel, and
+ * follows the `continue` tokens of each category.
+ *
+ * @param {string} host The host of the wiki ("en.wikipedia.org").
+ * @param {Array<string>} titles The titles of the categories.
+ * @param {Array<string>} types The `CATEGORY_MEMBER_TYPES` to fetch.
+ * @param {number=} opt_limit Stop following `continue` tokens once this many members have been fetched (optional).
+ * @param {Object<string, boolean>=} opt_seen Titles that do not count towards the limit, members found twice count once if given (optional).
+ * @param {boolean=} opt_articlesOnly Whether to only fetch members in the article namespace (optional).
+ * @return {Array<Array<{title: string, type: string}>>} The members of each category.
+ */
+function fetchCategoryMembers_(host, titles, types, opt_limit, opt_seen,
+    opt_articlesOnly) {
+  'use strict';
+  var url = getApiUrl_(host) +
+      '?action=query' +
+      '&format=json' +
+      '&formatversion=2' +
+      '&list=categorymembers' +
+      '&cmlimit=max' +
+      '&cmprop=title%7Ctype' +
+      '&cmtype=' + types.join('%7C') +
+      (opt_articlesOnly ? '&cmnamespace=0' : '') +
+      '&cmtitle=';
+  var members = titles.map(function() {
+    return [];
+  });
+  var count = 0;
+  var counted = {};
+  var requests = titles.map(function(title, i) {
+    return {
+      index: i,
+      url: url + encodeURIComponent(title.replace(/\s/g, '_')),
+      continuation: ''
+    };
+  });
+  var limit = opt_limit || Infinity;
+  while (requests.length && count < limit) {
+    var responses = fetchAllJson_(requests.map(function(request) {
+      return request.url + request.continuation;
+    }));
+    requests = requests.filter(function(request, i) {
+      var json = responses[i];
+      if (json instanceof Error) {
+        throw json;
+      }
+      var entries = json.query.categorymembers;
+      members[request.index] = members[request.index].concat(entries);
+      entries.forEach(function(entry) {
+        if (opt_seen && (opt_seen[entry.title] || counted[entry.title])) {
+          return;
+        }
+        counted[entry.title] = true;
+        count++;
+      });
+      var params = json.continue || {};
+      request.continuation = Object.keys(params).map(function(param) {
+        return '&' + param + '=' + encodeURIComponent(params[param]);
+      }).join('');
+      return !!request.continuation;
+    });
+  }
+  return members;
+}
+
+/**
+ * Walks a category tree breadth-first. Each subcategory is visited once, so
+ * cycles in the tree are followed only once.
+ *
+ * @param {Object} parsed The parsed category as returned by parseArticle_.
+ * @param {number} maxDepth The depth of the deepest subcategories whose members are returned, 0 for the direct members only.
+ * @param {Array<string>} types The `CATEGORY_MEMBER_TYPES` to return.
+ * @param {number} limit The maximum number of members.
+ * @param {boolean=} opt_dedupe Whether to return members found in several categories only for the first one (optional).
+ * @param {boolean=} opt_articlesOnly Whether to only return members in the article namespace (optional).
+ * @return {Array<{title: string, type: string, depth: number, path: string}>} The members with their type, depth, and the path of categories they were found in.
+ */
+function walkCategoryTree_(parsed, maxDepth, types, limit, opt_dedupe,
+    opt_articlesOnly) {
+  'use strict';
+  var root = parsed.title.replace(/_/g, ' ');
+  var visited = {};
+  visited[root] = true;
+  var seen = {};
+  var results = [];
+  var level = [{title: root, path: root}];
+  for (var depth = 0; depth <= maxDepth && level.length &&
+      results.length < limit; depth++) {
+    var titles = level.map(function(category) {
+      return category.title;
+    });
+    // Members that are left out as duplicates do not count towards the limit
+    var members = fetchCategoryMembers_(parsed.host, titles, types,
+        limit - results.length, opt_dedupe ? seen : undefined,
+        opt_articlesOnly);
+    // Subcategories are needed to go deeper, even if they are not returned,
+    // so they are fetched separately and do not count towards the limit
+    var subcats = depth < maxDepth && types.indexOf('subcat') === -1 ?
+        fetchCategoryMembers_(parsed.host, titles, ['subcat']) : null;
+    var next = [];
+    level.forEach(function(category, i) {
+      members[i].concat(subcats ? subcats[i] : []).forEach(function(member) {
+        if (member.type === 'subcat' && !visited[member.title]) {
+          visited[member.title] = true;
+          next.push({
+            title: member.title,
+            path: category.path + ' > ' + member.title
+          });
+        }
+        if (types.indexOf(member.type) === -1 ||
+            (opt_dedupe && seen[member.title])) {
+          return;
+        }
+        seen[member.title] = true;
+        results.push({
+          title: member.title,
+          type: member.type,
+          depth: depth,
+          path: category.path
+        });
+      });
+    });
+    level = next;
+  }
+  return results.slice(0, limit);
+}
+
+/**
+ * Returns the types of category members to include.
+ *
+ * @param {(string|Array<string>)=} opt_types The types "page", "subcat", or "file", separated by commas or as a range, defaults to all types (optional).
+ * @return {Array<string>} The `CATEGORY_MEMBER_TYPES`.
+ */
+function parseCategoryMemberTypes_(opt_types) {
+  'use strict';
+  if (!opt_types) {
+    return CATEGORY_MEMBER_TYPES;
+  }
+  var types = (Array.isArray(opt_types) ? opt_types : [opt_types])
+      .reduce(function(all, type) {
+        return all.concat(type);
+      }, []).join(',').split(',').map(function(type) {
+        return type.trim().toLowerCase();
+      }).filter(Boolean);
+  types.forEach(function(type) {
+    if (CATEGORY_MEMBER_TYPES.indexOf(type) === -1) {
+      throw new WikiError_(ERRORS.INPUT, 'Unknown member type "' + type +
+          '"');
+    }
+  });
+  return types;
+}
+
+/**
+ * Returns the members of a Wikipedia category and of its subcategories.
+ *
+ * @param {string} category The Wikipedia category in the format "language:Category:Category_Title" ("en:Category:Berlin") to get members for.
+ * @param {number=} opt_depth The depth of the deepest subcategories whose members are returned, 0 for the direct members only, defaults to 1 (optional).
+ * @param {string=} opt_types Only include members of these types: "page", "subcat", or "file", separated by commas, defaults to all types (optional).
+ * @param {number=} opt_limit The maximum number of members, or "all" for no limit, defaults to 10000 (optional).
+ * @param {boolean=} opt_dedupe Whether to return members that are found in several categories only once, defaults to false (optional).
+ * @return {Array<string>} The list of members with title, type, depth, and the path of categories they were found in.
+ * @customfunction
+ */
+function WIKICATEGORYTREE(category, opt_depth, opt_types, opt_limit,
+    opt_dedupe) {
+  'use strict';
+  if (!category) {
+    return '';
+  }
+  var results = [];
+  try {
+    var parsed = parseArticle_(category);
+    if (!parsed.title) {
+      return '';
+    }
+    var depth = opt_depth === '' || opt_depth === undefined ? 1 :
+        parseInt(opt_depth, 10);
+    if (isNaN(depth) || depth < 0) {
+      throw new WikiError_(ERRORS.INPUT, 'Invalid depth ' + opt_depth);
+    }
+    results = walkCategoryTree_(parsed, depth,
+        parseCategoryMemberTypes_(opt_types), getLimit_(opt_limit),
+        opt_dedupe).map(function(member) {
+          return [
+            member.title,
+            member.type,
+            member.depth,
+            member.path
+          ];
+        });
+  } catch (e) {
+    return handleError_(e);
+  }
+  return results.length > 0 ? results : '';
+}
+
+/**
+ * Returns the articles that are in several Wikipedia categories, in either of
+ * them, or in one but not in another. The categories are combined from left
+ * to right, so "A AND B NOT C" returns the articles in A and B, but not in C.
+ *
+ * @param {string} categories The categories combined with the operators AND, OR, and NOT ("en:Category:Berlin AND Category:Museums NOT Category:Art museums"), or a range with one category per cell, optionally prefixed with an operator, defaults to AND. Categories without site prefix are on the site of the first category.
+ * @param {number=} opt_depth The depth of the subcategories whose articles are included, 0 for the direct members only, defaults to 0 (optional).
+ * @param {boolean=} opt_includeQids Whether to return the Wikidata qid of each article, defaults to false (optional).
+ * @param {number=} opt_limit The maximum number of articles per category, or "all" for no limit, defaults to 10000. Categories with more articles return an error instead of an incomplete result (optional).
+ * @return {Array<string>} The list of matching articles, with qids if requested.
+ * @customfunction
+ */
+function WIKICATEGORYINTERSECT(categories, opt_depth, opt_includeQids,
+    opt_limit) {
+  'use strict';
+  if (!categories) {
+    return '';
+  }
+  var results = [];
+  try {
+    var terms = [];
+    if (Array.isArray(categories)) {
+      categories.forEach(function(row) {
+        (Array.isArray(row) ? row : [row]).forEach(function(cell) {
+          var term = /^(?:(AND|OR|NOT)\s+)?(.+)$/.exec(String(cell).trim());
+          if (term) {
+            terms.push({operator: term[1], category: term[2]});
+          }
+        });
+      });
+    } else {
+      var parts = String(categories).trim()
+          .split(/(?:^|\s+)(AND|OR|NOT)\s+/);
+      for (var i = 0; i < parts.length; i += 2) {
+        // A leading operator splits off an empty first part
+        if (i > 0 || parts[i]) {
+          terms.push({operator: parts[i - 1], category: parts[i]});
+        }
+      }
+    }
+    if (!terms.length) {
+      return '';
+    }
+    if (terms[0].operator) {
+      throw new WikiError_(ERRORS.INPUT, 'The first category cannot have ' +
+          'the operator ' + terms[0].operator);
+    }
+    var depth = opt_depth ? parseInt(opt_depth, 10) : 0;
+    if (isNaN(depth) || depth < 0) {
+      throw new WikiError_(ERRORS.INPUT, 'Invalid depth ' + opt_depth);
+    }
+    var limit = getLimit_(opt_limit);
+    var site = parseArticle_(terms[0].category);
+    var prefix = getSitePrefix_(site);
+    var titles = null;
+    terms.forEach(function(term) {
+      // Site prefixes are lowercase, namespaces like "Category:" are not
+      var parsed = parseArticle_(/^[a-z][a-z0-9.-]*:/.test(term.category) ?
+          term.category : prefix + ':' + term.category);
+      if (parsed.host !== site.host) {
+        throw new WikiError_(ERRORS.INPUT, 'Categories of different sites: ' +
+            terms[0].category + ', ' + term.category);
+      }
+      // Fetch one more than the limit to tell whether the result is complete
+      var found = walkCategoryTree_(parsed, depth, ['page'], limit + 1, true,
+          true);
+      if (found.length > limit) {
+        throw new WikiError_(ERRORS.INPUT, 'More than ' + limit +
+            ' articles in ' + term.category + ', increase the limit');
+      }
+      var members = {};
+      found.forEach(function(member) {
+        members[member.title] = true;
+      });
+      if (!titles) {
+        titles = Object.keys(members);
+      } else if (term.operator === 'OR') {
+        var known = {};
+        titles.forEach(function(title) {
+          known[title] = true;
+        });
+        titles = titles.concat(Object.keys(members).filter(function(title) {
+          return !known[title];
+        }));
+      } else {
+        titles = titles.filter(function(title) {
+          return term.operator === 'NOT' ? !members[title] : members[title];
+        });
+      }
+    });
+    if (!opt_includeQids) {
+      results = titles;
+    } else if (titles.length) {
+      var qids = callNested_(WIKIDATAQID, [titles.map(function(title) {
+        return [prefix + ':' + title];
+      })]);
+      results = titles.map(function(title, i) {
+        return [title, qids[i][0]];
+      });
+    }
+  } catch (e) {
+    return handleError_(e);
+  }
+  return results.length > 0 ? results : '';
+}
+
+/**
+ * Returns Wikipedia categories for a Wikipedia article.
+ *
+ * @param {string} article The Wikipedia article in the format "language:Article_Title" ("en:Berlin"), or a single-column range of such articles, to get categories for.
+ * @return {Array<string>} The list of categories, or for a range of articles one row of categories per article.
+ * @customfunction
+ */
+function WIKICATEGORIES(article) {
+  'use strict';
+  if (!article) {
+    return '';
+  }
+  var results = [];
+  try {
+    if (Array.isArray(article)) {
+      return fetchPagesBatch_(article, '&prop=categories&cllimit=max',
+          function(page) {
+            return (page.categories || []).map(function(category) {
+              return category.title;
+            });
+          });
+    }
+    var parsed = parseArticle_(article);
+    var language = parsed.language;
+    var title = parsed.title;
+    if (!title) {
+      return '';
+    }
+    var url = getApiUrl_(parsed.host) +
+        '?action=query' +
+        '&prop=categories' +
+        '&format=xml' +
+        '&cllimit=max' +
+        '&titles=' + encodeURIComponent(title.replace(/\s/g, '_'));
+    var document = fetchXml_(url);
+    var page = document.getRootElement().getChild('query').getChild('pages')
+        .getChild('page');
+    checkPage_(page, language + ':' + title);
+    var categories = page.getChild('categories');
+    var entries = categories ? categories.getChildren('cl') : [];
+    for (var i = 0; i < entries.length; i++) {
+      var text = entries[i].getAttribute('title').getValue();
+      results[i] = text;
+    }
+  } catch (e) {
+    return handleError_(e);
+  }
+  return results.length > 0 ? results : '';
+}
+
+/**
+ * Returns Wikipedia inbound links for a Wikipedia article.
+ *
+ * @param {string} article The Wikipedia article in the format "language:Article_Title" ("de:Berlin") to get inbound links for.
+ * @param {string=} opt_namespaces Only include pages in these namespaces (optional).
+ * @param {number=} opt_limit The maximum number of results, or "all" for no limit, defaults to 10000 (optional).
+ * @return {Array<string>} The list of inbound links.
+ * @customfunction
+ */
+function WIKIINBOUNDLINKS(article, opt_namespaces, opt_limit) {
+  'use strict';
+  if (!article) {
+    return '';
+  }
+  var results = [];
+  try {
+    var parsed = parseArticle_(article);
+    var title = parsed.title;
+    if (!title) {
+      return '';
+    }
+    var url = getApiUrl_(parsed.host) +
+        '?action=query' +
+        '&list=backlinks' +
+        '&bllimit=max' +
+        '&blnamespace=' + (opt_namespaces ?
+            encodeURIComponent(opt_namespaces) : '0') +
+        '&format=xml' +
+        '&bltitle=' + encodeURIComponent(title.replace(/\s/g, '_'));
+    var entries = fetchAllPages_(url, function(document) {
+      return document.getRootElement().getChild('query')
+          .getChild('backlinks').getChildren('bl');
+    }, opt_limit);
+    for (var i = 0; i < entries.length; i++) {
+      var text = entries[i].getAttribute('title').getValue();
+      results[i] = text;
+    }
+  } catch (e) {
+    return handleError_(e);
+  }
+  return results.length > 0 ? results : '';
+}
+
+/**
+ * Returns Wikipedia outbound links for a Wikipedia article.
+ *
+ * @param {string} article The Wikipedia article in the format "language:Article_Title" ("de:Berlin") to get outbound links for.
+ * @param {string=} opt_namespaces Only include pages in these namespaces (optional).
+ * @param {number=} opt_limit The maximum number of results, or "all" for no limit, defaults to 10000 (optional).
+ * @return {Array<string>} The list of outbound links.
+ * @customfunction
+ */
+function WIKIOUTBOUNDLINKS(article, opt_namespaces, opt_limit) {
+  'use strict';
+  if (!article) {
+    return '';
+  }
+  var results = [];
+  try {
+    var parsed = parseArticle_(article);
+    var language = parsed.language;
+    var title = parsed.title;
+    if (!title) {
+      return '';
+    }
+    var url = getApiUrl_(parsed.host) +
+        '?action=query' +
+        '&prop=links' +
+        '&plnamespace=' + (opt_namespaces ?
+            encodeURIComponent(opt_namespaces) : '0') +
+        '&format=xml' +
+        '&pllimit=max' +
+        '&titles=' + encodeURIComponent(title.replace(/\s/g, '_'));
+    var entries = fetchAllPages_(url, function(document) {
+      var page = document.getRootElement().getChild('query')
+          .getChild('pages').getChild('page');
+      checkPage_(page, language + ':' + title);
+      var links = page.getChild('links');
+      return links ? links.getChildren('pl') : [];
+    }, opt_limit);
+    for (var i = 0; i < entries.length; i++) {
+      var text = entries[i].getAttribute('title').getValue();
+      results[i] = text;
+    }
+  } catch (e) {
+    return handleError_(e);
+  }
+  return results.length > 0 ? results : '';
+}
+
+/**
+ * Returns Wikipedia mutual links, i.e, the intersection of inbound and outbound links for a Wikipedia article.
+ *
+ * @param {string} article The Wikipedia article in the format "language:Article_Title" ("de:Berlin") to get mutual links for.
+ * @param {string=} opt_namespaces Only include pages in these namespaces (optional).
+ * @param {number=} opt_limit The maximum number of inbound and outbound links to compare, or "all" for no limit, defaults to 10000 (optional).
+ * @return {Array<string>} The list of mutual links.
+ * @customfunction
+ */
+function WIKIMUTUALLINKS(article, opt_namespaces, opt_limit) {
+  'use strict';
+  var mutualLinks = [];
+  try {
+    var inboundLinks = callNested_(WIKIINBOUNDLINKS,
+        [article, opt_namespaces, opt_limit]) || [];
+    var outboundLinks = callNested_(WIKIOUTBOUNDLINKS,
+        [article, opt_namespaces, opt_limit]) || [];
+    mutualLinks = inboundLinks.filter(function(link) {
+      return outboundLinks.indexOf(link) > -1;
+    });
+  } catch (e) {
+    return handleError_(e);
+  }
+  return mutualLinks.length > 0 ? mutualLinks : '';
+}
+
+/**
+ * Returns Wikipedia geocoordinates for a Wikipedia article.
+ *
+ * @param {string} article The Wikipedia article in the format "language:Article_Title" ("de:Berlin"), or a single-column range of such articles, to get geocoordinates for.
+ * @return {Array<number>} The latitude and longitude, or for a range of articles one row of latitude and longitude per article.
+ * @customfunction
+ */
+function WIKIGEOCOORDINATES(article) {
+  'use strict';
+  if (!article) {
+    return '';
+  }
+  var results = [];
+  try {
+    if (Array.isArray(article)) {
+      return fetchPagesBatch_(article,
+          '&prop=coordinates&colimit=max&coprimary=primary',
+          function(page) {
+            return page.coordinates ?
+                [page.coordinates[0].lat, page.coordinates[0].lon] : [];
+          });
+    }
+    var parsed = parseArticle_(article);
+    var language = parsed.language;
+    var title = parsed.title;
+    if (!title) {
+      return '';
+    }
+    var url = getApiUrl_(parsed.host) +
+        '?action=query' +
+        '&prop=coordinates' +
+        '&format=xml' +
+        '&colimit=max' +
+        '&coprimary=primary' +
+        '&titles=' + encodeURIComponent(title.replace(/\s/g, '_'));
+    var document = fetchXml_(url);
+    var page = document.getRootElement().getChild('query').getChild('pages')
+        .getChild('page');
+    checkPage_(page, language + ':' + title);
+    if (!page.getChild('coordinates')) {
+      return '';
+    }
+    var coordinates = page.getChild('coordinates').getChild('co');
+    var latitude = coordinates.getAttribute('lat').getValue();
+    var longitude = coordinates.getAttribute('lon').getValue();
+    results = [[latitude, longitude]];
+  } catch (e) {
+    return handleError_(e);
+  }
+  return results.length > 0 ? results : '';
+}
+
+/**
+ * Returns Wikipedia articles that have a link that matches a given link pattern.
+ *
+ * @param {string} linkPattern The link pattern to search for in the format "language:example.com" or "language:*.example.com".
+ * @param {string=} opt_protocol Protocol of the link, defaults to "http" (optional).
+ * @param {string=} opt_namespaces Only include pages in these namespaces (optional).
+ * @param {number=} opt_limit The maximum number of results, or "all" for no limit, defaults to 10000 (optional).
+ * @return {Array<string>} The list of articles that match the link pattern and the concrete link.
+ * @customfunction
+ */
+function WIKILINKSEARCH(linkPattern, opt_protocol, opt_namespaces, opt_limit) {
+  'use strict';
+  if (!linkPattern) {
+    return '';
+  }
+  var results = [];
+  try {
+    var parsed = parseSitePrefix_(linkPattern);
+    var title = parsed.text;
+    if (!title) {
+      return '';
+    }
+    var url = getApiUrl_(parsed.host) +
+        '?action=query' +
+        '&format=xml' +
+        '&list=exturlusage' +
+        '&eulimit=max' +
+        '&euprop=title%7Curl' +
+        '&euprotocol=' + (opt_protocol ? opt_protocol : 'http') +
+        '&euquery=' + encodeURIComponent(title) +
+        '&eunamespace=' + (opt_namespaces ?
+            encodeURIComponent(opt_namespaces) : '0');
+    var entries = fetchAllPages_(url, function(document) {
+      return document.getRootElement().getChild('query')
+          .getChild('exturlusage').getChildren('eu');
+    }, opt_limit);
+    for (var i = 0; i < entries.length; i++) {
+      var title = entries[i].getAttribute('title').getValue();
+      var url = entries[i].getAttribute('url').getValue();
+      results[i] = [title, url];
+    }
+  } catch (e) {
+    return handleError_(e);
+  }
+  return results.length > 0 ? results : '';
+}
+
+/**
+ * Returns Wikidata facts for a Wikipedia article.
+ *
+ * @param {string} article The Wikipedia article in the format "language:Article_Title" ("de:Berlin") or the Wikidata entity in the format "qid" ("Q42") to get Wikidata facts for.
+ * @param {string=} opt_multiObjectMode Whether to return all object values (pass "all") or just the first (pass "first") when there are more than one object values, or one row per statement with property, value, rank, qualifiers, and references (pass "statements") (optional).
+ * @param {Array<string>} opt_properties Limit the resulting facts to a list of properties (optional).
+ * @param {string=} opt_rankFilter Whether to skip deprecated statements (pass "nondeprecated") or to only keep preferred statements (pass "preferred") (optional).
+ * @param {string=} opt_language The language of the labels, or a comma-separated list of languages to fall back through ("de,en,mul"), defaults to "en", entities without a label in any of the languages are shown by their ID (optional).
+ * @param {boolean=} opt_includeIds Whether to return the property and item IDs next to their labels (optional).
+ * @return {Array<string>} The list of Wikidata facts.
+ * @customfunction
+ */
+function WIKIDATAFACTS(article, opt_multiObjectMode, opt_properties,
+    opt_rankFilter, opt_language, opt_includeIds) {
+  'use strict';
+
+  var simplifyClaims = function(claims, properties) {
+    var simpleClaims = {};
+    properties.forEach(function(id) {
+      simpleClaims[id] = simpifyClaim(claims[id]);
+    });
+    return simpleClaims;
+  };
+
+  var simpifyClaim = function(claim) {
+    var simplifiedClaim = [];
+    var len = claim.length;
+    for (var i = 0; i < len; i++) {
+      var statement = claim[i];
+      if (!keepRank(statement.rank)) {
+        continue;
+      }
+      var simpifiedStatement = simpifyStatement(statement);
+      if (simpifiedStatement !== null) {
+        simplifiedClaim.push(simpifiedStatement);
+      }
+    }
+    return simplifiedClaim;
+  };
+
+  var keepRank = function(rank) {
+    if (/^preferred$/i.test(opt_rankFilter)) {
+      return rank === 'preferred';
+    }
+    if (/^nondeprecated$/i.test(opt_rankFilter)) {
+      return rank !== 'deprecated';
+    }
+    return true;
+  };
+
+  var simpifyStatement = function(statement) {
+    return simplifySnak(statement.mainsnak);
+  };
+
+  var simplifySnak = function(snak) {
+    if (snak === null || snak === undefined) {
+      return null;
+    }
+    var datatype = snak.datatype;
+    var datavalue = snak.datavalue;
+    if (datavalue === null || datavalue === undefined) {
+      return null;
+    }
+    var value = datavalue.value;
+    switch (datatype) {
+      case 'string':
+      case 'commonsMedia':
+      case 'url':
+      case 'math':
+      case 'external-id':
+      case 'geo-shape':
+      case 'tabular-data':
+      case 'musical-notation':
+        return value;
+      case 'monolingualtext':
+        return value.text;
+      case 'wikibase-item':
+        var qid = 'Q' + value['numeric-id'];
+        qids.push(qid);
+        return qid;
+      case 'wikibase-property':
+        var pid = 'P' + value['numeric-id'];
+        qids.push(pid);
+        return pid;
+      case 'wikibase-lexeme':
+      case 'wikibase-form':
+      case 'wikibase-sense':
+      case 'entity-schema':
+        return value.id;
+      case 'time':
+        return parseWikibaseTime_(value, timeZone);
+      case 'quantity':
+        var unit = /\/(Q\d+)$/.exec(value.unit);
+        if (unit) {
+          qids.push(unit[1]);
+        }
+        return {
+          amount: value.amount,
+          lowerBound: value.lowerBound,
+          upperBound: value.upperBound,
+          unit: unit ? unit[1] : null
+        };
+      case 'globe-coordinate':
+        return value.latitude + ', ' + value.longitude;
+      default:
+        return datavalue.type === 'string' ? value : null;
+    }
+  };
+
+  var formatAmount = function(amount) {
+    return String(amount).replace(/^\+/, '');
+  };
+
+  var countDecimals = function(amount) {
+    var decimals = /\.(\d+)$/.exec(amount);
+    return decimals ? decimals[1].length : 0;
+  };
+
+  var formatValue = function(value, labels) {
+    if (/^[PQ]\d+$/.test(value)) {
+      return labels[value];
+    }
+    if (value === null || typeof value !== 'object' ||
+        value instanceof Date) {
+      return value;
+    }
+    var amount = formatAmount(value.amount);
+    var lower = value.lowerBound;
+    var upper = value.upperBound;
+    if (lower !== undefined && upper !== undefined) {
+      // Round away floating point errors before comparing the margins
+      var digits = Math.max(countDecimals(value.amount),
+          countDecimals(lower), countDecimals(upper));
+      var below = parseFloat((value.amount - lower).toFixed(digits));
+      var above = parseFloat((upper - value.amount).toFixed(digits));
+      if (below === above) {
+        amount += below ? '±' + below : '';
+      } else {
+        amount += ' [' + formatAmount(lower) + ', ' + formatAmount(upper) +
+            ']';
+      }
+    }
+    if (value.unit) {
+      return amount + ' ' + (labels[value.unit] || value.unit);
+    }
+    return amount === formatAmount(value.amount) ?
+        parseFloat(value.amount) : amount;
+  };
+
+  var getQualifiers = function(statement) {
+    var qualifiers = [];
+    var order = statement['qualifiers-order'] ||
+        Object.keys(statement.qualifiers || {});
+    order.forEach(function(property) {
+      statement.qualifiers[property].forEach(function(snak) {
+        var value = simplifySnak(snak);
+        if (value !== null) {
+          qualifierProperties.push(property);
+          qualifiers.push([property, value]);
+        }
+      });
+    });
+    return qualifiers;
+  };
+
+  var getReferenceUrls = function(statement) {
+    var urls = [];
+    (statement.references || []).forEach(function(reference) {
+      (reference.snaks[REFERENCE_URL_PROPERTY] || []).forEach(function(snak) {
+        var url = simplifySnak(snak);
+        if (url !== null && urls.indexOf(url) === -1) {
+          urls.push(url);
+        }
+      });
+    });
+    return urls;
+  };
+
+  var getFact = function(property, rawValue, labels) {
+    var label = labels[property];
+    var value = formatValue(rawValue, labels);
+    var hasValue = Boolean(value) || value === 0;
+    var id = /^[PQ]\d+$/.test(rawValue) ? rawValue : '';
+    if (opt_includeIds) {
+      return [label || '', property, hasValue ? value : '', id];
+    }
+    // Without a label in any of the languages, fall back to the ids
+    if (!hasValue && !id) {
+      return null;
+    }
+    return [label || property, hasValue ? value : id];
+  };
+
+  if (!article) {
+    return '';
+  }
+  opt_properties = opt_properties || [];
+  opt_properties = Array.isArray(opt_properties) ?
+      opt_properties : [opt_properties];
+  var temp = {};
+  opt_properties.forEach(function(prop) {
+    temp[prop] = true;
+  });
+  opt_properties = Object.keys(temp);
+  var languages = parseLanguages_(opt_language);
+  var results = [];
+  try {
+    var timeZone = getTimeZone_();
+    var parsed = parseArticle_(article, true);
+    var language = parsed.language;
+    var title = parsed.title;
+    if (!title) {
+      return '';
+    }
+    var url;
+    if (parsed.qid) {
+      url = getWikibaseApiUrl_() +
+          '?action=wbgetentities' +
+          '&format=json' +
+          '&props=claims' +
+          '&ids=' + title;
+    } else {
+      url = getWikibaseApiUrl_() +
+          '?action=wbgetentities' +
+          '&sites=' + getSiteId_(parsed.site) +
+          '&format=json' +
+          '&props=claims' +
+          '&titles=' + encodeURIComponent(title.replace(/\s/g, '_'));
+    }
+    var json = fetchJson_(url);
+    var entity = Object.keys(json.entities)[0];
+    if (json.entities[entity].missing !== undefined) {
+      throw new WikiError_(ERRORS.MISSING, language + ':' + title);
+    }
+    var qids = [];
+    var qualifierProperties = [];
+    var entityClaims = json.entities[entity].claims;
+    var properties = Object.keys(entityClaims);
+    if (opt_properties.length) {
+      properties = properties.filter(function(property) {
+        return opt_properties.indexOf(property) !== -1;
+      });
+    }
+    if (/^statements$/i.test(opt_multiObjectMode)) {
+      var statements = [];
+      properties.forEach(function(property) {
+        entityClaims[property].forEach(function(statement) {
+          if (!keepRank(statement.rank)) {
+            return;
+          }
+          var value = simpifyStatement(statement);
+          if (value !== null) {
+            statements.push([property, value, statement.rank,
+                getQualifiers(statement), getReferenceUrls(statement)]);
+          }
+        });
+      });
+      var labels = fetchLabels_(properties.concat(qualifierProperties, qids),
+          languages);
+      var getValueText = function(value) {
+        var text = formatValue(value, labels);
+        if (text instanceof Date) {
+          return Utilities.formatDate(text, timeZone, 'yyyy-MM-dd') +
+              (Utilities.formatDate(text, timeZone, 'G') === 'BC' ? ' BCE' :
+              '');
+        }
+        return text || text === 0 ? text : value;
+      };
+      statements.forEach(function(statement) {
+        var fact = getFact(statement[0], statement[1], labels);
+        if (fact) {
+          results.push(fact.concat([
+            statement[2],
+            statement[3].map(function(qualifier) {
+              return (labels[qualifier[0]] || qualifier[0]) + ': ' +
+                  getValueText(qualifier[1]);
+            }).join('; '),
+            statement[4].join('; ')
+          ]));
+        }
+      });
+      return results.length > 0 ? results : '';
+    }
+    var simplifiedClaims = simplifyClaims(entityClaims, properties);
+    var labels = fetchLabels_(properties.concat(qids), languages);
+    for (var claim in simplifiedClaims) {
+      var claims = simplifiedClaims[claim].filter(function(value) {
+        return value !== null;
+      });
+      // Only return single-object facts
+      if (claims.length === 1) {
+        var fact = getFact(claim, claims[0], labels);
+        if (fact) {
+          results.push(fact);
+        }
+      }
+      // Optionally return multi-object facts
+      if ((
+            (/^first$/i.test(opt_multiObjectMode)) ||
+            (/^all$/i.test(opt_multiObjectMode))
+          ) && (claims.length > 1)) {
+        claims.forEach(function(claimObject, i) {
+          if (i > 0 && /^first$/i.test(opt_multiObjectMode)) {
+            return;
+          }
+          var fact = getFact(claim, claimObject, labels);
+          if (fact) {
+            results.push(fact);
+          }
+        });
+      }
+    }
+  } catch (e) {
+    return handleError_(e);
+  }
+  return results.length > 0 ? results : '';
+}
+
+/**
+ * Returns the Wikipedia site links for a given Wikidata item.
+ *
+ * @param {string} qid The Wikidata item QID to get the Wikipedia site links for.
+ * @param {Array<string>=} opt_sitefilter The list of Wikipedia sites to limit the results to (optional).
+ * @return {Array<string>} The list of site links.
+ * @customfunction
+ */
+function WIKIDATASITELINKS(qid, opt_sitefilter) {
+  'use strict';
+  if (!qid) {
+    return '';
+  }
+  var results = [];
+  try {
+    opt_sitefilter = opt_sitefilter || [];
+    opt_sitefilter = Array.isArray(opt_sitefilter) ? opt_sitefilter : [opt_sitefilter];
+    var sitefilterQuery = opt_sitefilter.length ? '&sitefilter=' + opt_sitefilter.map(site => site + 'wiki').join('%7C') : '';
+    var url = getWikibaseApiUrl_() +
+        '?format=json' +
+        '&action=wbgetentities' +
+        '&props=sitelinks' +
+        '&ids=' + qid +
+        sitefilterQuery;
+    var json = fetchJson_(url);
+    var sitelinks = json.entities[qid].sitelinks;
+    var availableSites = Object.keys(sitelinks).sort();
+    availableSites.forEach(function(site) {
+      var link = sitelinks[site].title;
+      results.push([site.replace(/wiki$/, ''), link]);
+    });
+  } catch (e) {
+    return handleError_(e);
+  }
+  return results.length > 0 ? results : '';
+}
+
+/**
+ * Returns Wikipedia pageviews statistics for a Wikipedia article.
+ *
+ * @param {string} article The Wikipedia article in the format "language:Article_Title" ("de:Berlin") to get pageviews statistics for, or a range of articles to get a table with one column per article.
+ * @param {string=} opt_start The start date in the format "YYYYMMDD" ("20070608") since when pageviews statistics should be retrieved from (optional).
+ * @param {string=} opt_end The end date in the format "YYYYMMDD" ("20070608") until when pageviews statistics should be retrieved to (optional).
+ * @param {boolean=} opt_sumOnly Whether to only return the sum of all pageviews in the requested period (optional).
+ * @param {string=} opt_granularity The granularity, "daily" or "monthly", defaults to "daily" (optional).
+ * @param {string=} opt_access The access method, "all-access", "desktop", "mobile-app", or "mobile-web", defaults to "all-access" (optional).
+ * @param {string=} opt_agent The agent, "all-agents", "user", "spider", or "automated", defaults to "user" (optional).
+ * @return {Array<number>} The list of pageviews between start and end per day.
+ * @customfunction
+ */
+function WIKIPAGEVIEWS(article, opt_start, opt_end, opt_sumOnly,
+    opt_granularity, opt_access, opt_agent) {
+  'use strict';
+  if (!article) {
+    return '';
+  }
+  var results = [];
+  var sum = 0;
+  try {
+    var timeZone = getTimeZone_();
+    var start = opt_start ? getMetricsDate_(opt_start, timeZone) :
+        getMetricsDaysAgo_(30);
+    var end = opt_end ? getMetricsDate_(opt_end, timeZone) :
+        getMetricsDaysAgo_(1);
+    if (Array.isArray(article)) {
+      return getPageviewsTable_([].concat.apply([], article), start, end,
+          opt_sumOnly, opt_granularity, opt_access, opt_agent, timeZone);
+    }
+    var parsed = parseArticle_(article);
+    if (!parsed.title) {
+      return '';
+    }
+    fetchPageviews_(parsed, start, end, opt_granularity, opt_access,
+        opt_agent).forEach(function(item) {
+      if (opt_sumOnly) {
+        sum += item.views;
+      } else {
+        results.push([
+          parseMetricsDate_(item.timestamp, timeZone),
+          item.views
+        ]);
+      }
+    });
+  } catch (e) {
+    return handleError_(e);
+  }
+  if (opt_sumOnly) {
+    return [sum];
+  } else {
+    results.reverse(); // Order from new to old
+    return results.length > 0 ? results : '';
+  }
+}
+
+/**
+ * Fetches the daily pageviews of an article for every day of a period, with
+ * zeros for days without pageviews, which the metrics API leaves out.
+ *
+ * @param {{host: string, title: string}} parsed The article as returned by `parseArticle_`.
+ * @param {string} start The start date in the format "YYYYMMDD".
+ * @param {string} end The end date in the format "YYYYMMDD".
+ * @return {Array<{timestamp: string, views: number}>} The pageviews from old to new.
+ */
+function fetchDailyPageviews_(parsed, start, end) {
+  'use strict';
+  var views = {};
+  fetchPageviews_(parsed, start, end).forEach(function(item) {
+    views[item.timestamp] = item.views;
+  });
+  return getMetricsDays_(start, end).map(function(day) {
+    return {timestamp: day, views: views[day] || 0};
+  });
+}
+
+/**
+ * Returns the pageviews of several articles as a table with a date column and
+ * one column per article, or with the sum of each article's pageviews. Days
+ * without pageviews are filled in with zeros.
+ *
+ * @param {Array<string>} articles The articles.
+ * @param {string} start The start date in the format "YYYYMMDD".
+ * @param {string} end The end date in the format "YYYYMMDD".
+ * @param {boolean=} opt_sumOnly Whether to only return the sum of each article's pageviews (optional).
+ * @param {string=} opt_granularity The granularity, "daily" or "monthly" (optional).
+ * @param {string=} opt_access The access method (optional).
+ * @param {string=} opt_agent The agent (optional).
+ * @param {string} timeZone The time zone of the spreadsheet.
+ * @return {Array<Array<(Date|number|string)>>} The table from new to old with a header row, or the column of sums.
+ */
+function getPageviewsTable_(articles, start, end, opt_sumOnly,
+    opt_granularity, opt_access, opt_agent, timeZone) {
+  'use strict';
+  // Every day of the period, months are taken from the responses
+  var timestamps = (opt_granularity || 'daily') === 'daily' ?
+      getMetricsDays_(start, end) : [];
+  // The pageviews URL of each article, or its error
+  var urls = articles.map(function(article) {
+    if (!String(article).trim()) {
+      return null;
+    }
+    try {
+      return getPageviewsUrl_(parseArticle_(article), start, end,
+          opt_granularity, opt_access, opt_agent);
+    } catch (e) {
+      return e;
+    }
+  });
+  var responses = fetchAllJson_(urls.filter(function(url) {
+    return typeof url === 'string';
+  }));
+  // The pageviews of each article by timestamp, or its error message
+  var columns = urls.map(function(url) {
+    if (url === null) {
+      return null;
+    }
+    try {
+      var json = typeof url === 'string' ? responses.shift() : url;
+      if (json instanceof Error) {
+        throw json;
+      }
+      var views = {};
+      parsePageviews_(json).forEach(function(item) {
+        views[item.timestamp] = item.views;
+        if (timestamps.indexOf(item.timestamp) === -1) {
+          timestamps.push(item.timestamp);
+        }
+      });
+      return views;
+    } catch (e) {
+      return handleError_(e);
+    }
+  });
+  if (opt_sumOnly) {
+    return columns.map(function(views) {
+      if (views === null || typeof views === 'string') {
+        return [views || ''];
+      }
+      var sum = 0;
+      for (var timestamp in views) {
+        sum += views[timestamp];
+      }
+      return [sum];
+    });
+  }
+  var header = ['Date'];
+  articles.forEach(function(article, i) {
+    if (columns[i] !== null) {
+      header.push(String(article).trim());
+    }
+  });
+  columns = columns.filter(function(views) {
+    return views !== null;
+  });
+  timestamps.sort().reverse(); // Order from new to old
+  return [header].concat(timestamps.map(function(timestamp, i) {
+    return [parseMetricsDate_(timestamp, timeZone)].concat(
+        columns.map(function(views) {
+          // Show the error message of an article once
+          if (typeof views === 'string') {
+            return i === 0 ? views : '';
+          }
+          return views[timestamp] || 0;
+        }));
+  }));
+}
+
+/**
+ * Returns the pageviews of all Wikipedia language editions of a Wikidata item, summed per day or per language.
+ *
+ * @param {string} article The Wikidata item in the format "qid" ("Q64") or a Wikipedia article in the format "language:Article_Title" ("de:Berlin") whose item to get pageviews statistics for.
+ * @param {string=} opt_start The start date in the format "YYYYMMDD" ("20070608") since when pageviews statistics should be retrieved from (optional).
+ * @param {string=} opt_end The end date in the format "YYYYMMDD" ("20070608") until when pageviews statistics should be retrieved to (optional).
+ * @param {boolean=} opt_perLanguage Whether to return the pageviews per language edition with its article title instead of per day (optional).
+ * @return {Array<number>} The list of summed pageviews between start and end per day, or per language from most to least viewed. Language editions whose pageviews fail to load are left out of the sums per day, and show their error per language.
+ * @customfunction
+ */
+function WIKIDATAPAGEVIEWS(article, opt_start, opt_end, opt_perLanguage) {
+  'use strict';
+  if (!article) {
+    return '';
+  }
+  var results = [];
+  try {
+    var timeZone = getTimeZone_();
+    var start = opt_start ? getMetricsDate_(opt_start, timeZone) :
+        getMetricsDaysAgo_(30);
+    var end = opt_end ? getMetricsDate_(opt_end, timeZone) :
+        getMetricsDaysAgo_(1);
+    var parsed = parseArticle_(article, true);
+    if (!parsed.title) {
+      return '';
+    }
+    var url = getWikibaseApiUrl_() +
+        '?action=wbgetentities' +
+        '&format=json' +
+        '&props=sitelinks%2Furls' +
+        (parsed.qid ? '&ids=' + parsed.qid :
+            '&sites=' + getSiteId_(parsed.site) +
+            '&titles=' + encodeURIComponent(parsed.title));
+    var json = fetchJson_(url);
+    var entity = json.entities[Object.keys(json.entities)[0]];
+    if (entity.missing !== undefined) {
+      throw new WikiError_(ERRORS.MISSING, String(article));
+    }
+    var editions = [];
+    for (var site in entity.sitelinks) {
+      var sitelink = entity.sitelinks[site];
+      var host = /^https:\/\/([a-z0-9-]+)\.wikipedia\.org\//.exec(sitelink.url);
+      if (host) {
+        editions.push({
+          language: host[1],
+          host: host[1] + '.wikipedia.org',
+          title: sitelink.title
+        });
+      }
+    }
+    var urls = editions.map(function(edition) {
+      return getPageviewsUrl_(edition, start, end);
+    });
+    var perDay = {};
+    getMetricsDays_(start, end).forEach(function(day) {
+      perDay[day] = 0;
+    });
+    var errors = [];
+    fetchAllJson_(urls).forEach(function(response, i) {
+      // Articles without pageviews in the period are not found
+      if (response instanceof WikiError_ && response.type === ERRORS.MISSING) {
+        response = {items: []};
+      } else if (response instanceof Error) {
+        // Other editions are still counted, their sums leave this one out
+        editions[i].error = response;
+        errors.push(response);
+        return;
+      }
+      editions[i].views = 0;
+      parsePageviews_(response).forEach(function(item) {
+        perDay[item.timestamp] = (perDay[item.timestamp] || 0) + item.views;
+        editions[i].views += item.views;
+      });
+    });
+    if (editions.length && errors.length === editions.length) {
+      throw errors[0];
+    }
+    if (opt_perLanguage) {
+      editions.sort(function(a, b) {
+        return (b.error ? -1 : b.views) - (a.error ? -1 : a.views);
+      });
+      results = editions.map(function(edition) {
+        return [edition.language, edition.title,
+          edition.error ? handleError_(edition.error) : edition.views];
+      });
+    } else {
+      results = Object.keys(perDay).sort().reverse().map(function(timestamp) {
+        return [parseMetricsDate_(timestamp, timeZone), perDay[timestamp]];
+      });
+    }
+  } catch (e) {
+    return handleError_(e);
+  }
+  return results.length > 0 ? results : '';
+}
+
+/**
+ * Returns the days on which a Wikipedia article had unusually many pageviews, compared to the mean and standard deviation of the pageviews of the preceding days.
+ *
+ * @param {string} article The Wikipedia article in the format "language:Article_Title" ("de:Berlin") to find pageview spikes for.
+ * @param {string=} opt_start The start date in the format "YYYYMMDD" ("20070608") since when to look for spikes (optional).
+ * @param {string=} opt_end The end date in the format "YYYYMMDD" ("20070608") until when to look for spikes (optional).
+ * @param {number=} opt_threshold The number of standard deviations above the mean from which on a day is a spike, defaults to 3 (optional).
+ * @param {number=} opt_days The number of preceding days to compare each day with, defaults to 28 (optional).
+ * @return {Array<number>} The list of spikes from new to old, with date, pageviews, mean pageviews, and standard deviations above the mean.
+ * @customfunction
+ */
+function WIKIPAGEVIEWSANOMALIES(article, opt_start, opt_end, opt_threshold,
+    opt_days) {
+  'use strict';
+  if (!article) {
+    return '';
+  }
+  var results = [];
+  try {
+    var timeZone = getTimeZone_();
+    var start = opt_start ? getMetricsDate_(opt_start, timeZone) :
+        getMetricsDaysAgo_(30);
+    var end = opt_end ? getMetricsDate_(opt_end, timeZone) :
+        getMetricsDaysAgo_(1);
+    var threshold = parseFloat(opt_threshold) || 3;
+    var days = parseInt(opt_days, 10) || 28;
+    var parsed = parseArticle_(article);
+    if (!parsed.title) {
+      return '';
+    }
+    var daily = fetchDailyPageviews_(parsed, addMetricsDays_(start, -days),
+        end);
+    for (var i = days; i < daily.length; i++) {
+      var baseline = daily.slice(i - days, i);
+      var mean = baseline.reduce(function(sum, day) {
+        return sum + day.views;
+      }, 0) / days;
+      var variance = baseline.reduce(function(sum, day) {
+        return sum + Math.pow(day.views - mean, 2);
+      }, 0) / days;
+      // Articles with constant pageviews would otherwise spike on any change
+      var deviations = (daily[i].views - mean) /
+          Math.max(Math.sqrt(variance), 1);
+      if (deviations >= threshold) {
+        results.push([
+          parseMetricsDate_(daily[i].timestamp, timeZone),
+          daily[i].views,
+          mean,
+          deviations
+        ]);
+      }
+    }
+  } catch (e) {
+    return handleError_(e);
+  }
+  results.reverse(); // Order from new to old
+  return results.length > 0 ? results : '';
+}
+
+/**
+ * Returns the week-over-week and year-over-year growth of the pageviews of a Wikipedia article.
+ *
+ * @param {string} article The Wikipedia article in the format "language:Article_Title" ("de:Berlin") to get the pageviews growth for.
+ * @param {string=} opt_end The end date in the format "YYYYMMDD" ("20070608") of the period to compare, defaults to yesterday (optional).
+ * @param {number=} opt_days The number of days of the period to compare, defaults to 7 (optional).
+ * @return {Array<number>} The week-over-week and year-over-year comparison, each with the pageviews of the period, the pageviews of the period one week (or 52 weeks) earlier, and the growth.
+ * @customfunction
+ */
+function WIKIPAGEVIEWSGROWTH(article, opt_end, opt_days) {
+  'use strict';
+  if (!article) {
+    return '';
+  }
+  var results = [];
+  try {
+    var timeZone = getTimeZone_();
+    var end = opt_end ? getMetricsDate_(opt_end, timeZone) :
+        getMetricsDaysAgo_(1);
+    var days = parseInt(opt_days, 10) || 7;
+    var parsed = parseArticle_(article);
+    if (!parsed.title) {
+      return '';
+    }
+    // 52 weeks back, so both periods start on the same weekday
+    var daily = fetchDailyPageviews_(parsed, addMetricsDays_(end,
+        -(364 + days - 1)), end);
+    var getViews = function(daysBefore) {
+      return daily.slice(daily.length - daysBefore - days,
+          daily.length - daysBefore).reduce(function(sum, day) {
+            return sum + day.views;
+          }, 0);
+    };
+    var views = getViews(0);
+    [['week over week', 7], ['year over year', 364]].forEach(function(period) {
+      var previousViews = getViews(period[1]);
+      results.push([
+        period[0],
+        views,
+        previousViews,
+        previousViews ? (views - previousViews) / previousViews : ''
+      ]);
+    });
+  } catch (e) {
+    return handleError_(e);
+  }
+  return results.length > 0 ? results : '';
+}
+
+/**
+ * Returns the pageviews of a Wikipedia article with their moving average.
+ *
+ * @param {string} article The Wikipedia article in the format "language:Article_Title" ("de:Berlin") to get pageviews statistics for.
+ * @param {string=} opt_start The start date in the format "YYYYMMDD" ("20070608") since when pageviews statistics should be retrieved from (optional).
+ * @param {string=} opt_end The end date in the format "YYYYMMDD" ("20070608") until when pageviews statistics should be retrieved to (optional).
+ * @param {number=} opt_days The number of days to average over, defaults to 7 (optional).
+ * @return {Array<number>} The list of pageviews and their average over the given number of days up to each day, from new to old.
+ * @customfunction
+ */
+function WIKIPAGEVIEWSMOVINGAVERAGE(article, opt_start, opt_end, opt_days) {
+  'use strict';
+  if (!article) {
+    return '';
+  }
+  var results = [];
+  try {
+    var timeZone = getTimeZone_();
+    var start = opt_start ? getMetricsDate_(opt_start, timeZone) :
+        getMetricsDaysAgo_(30);
+    var end = opt_end ? getMetricsDate_(opt_end, timeZone) :
+        getMetricsDaysAgo_(1);
+    var days = parseInt(opt_days, 10) || 7;
+    var parsed = parseArticle_(article);
+    if (!parsed.title) {
+      return '';
+    }
+    var daily = fetchDailyPageviews_(parsed,
+        addMetricsDays_(start, -(days - 1)), end);
+    var sum = 0;
+    daily.forEach(function(day, i) {
+      sum += day.views;
+      if (i >= days) {
+        sum -= daily[i - days].views;
+      }
+      if (i >= days - 1) {
+        results.push([
+          parseMetricsDate_(day.timestamp, timeZone),
+          day.views,
+          sum / days
+        ]);
+      }
+    });
+  } catch (e) {
+    return handleError_(e);
+  }
+  results.reverse(); // Order from new to old
+  return results.length > 0 ? results : '';
+}
+
+/**
+ * Returns pageviews statistics for individual pages.
+ *
+ * @param {string} project The Wikimedia project to get pageviews statistics for.
+ * @param {string} article The Wikipedia article in the format "language:Article_Title" ("de:Berlin") to get pageviews statistics for.
+ * @param {string=} opt_access The access method, defaults to "all-access" (optional).
+ * @param {string=} opt_agent The agent, defaults to "all-agents" (optional).
+ * @param {string=} opt_granularity The granularity, defaults to "daily" (optional).
+ * @param {string=} opt_start The start date in the format "YYYYMMDD" ("20070608") since when pageviews statistics should be retrieved from (optional).
+ * @param {string=} opt_end The end date in the format "YYYYMMDD" ("20070608") until when pageviews statistics should be retrieved to (optional).
+ * @param {boolean=} opt_sumOnly Whether to only return the sum of all pageviews in the requested period (optional).
+ * @return {Array<number>} The list of pageviews between start and end.
+ * @customfunction
+ */
+function WIKIPAGEVIEWSPERARTICLE(project, article, opt_access,
+    opt_agent, opt_granularity, opt_start, opt_end, opt_sumOnly) {
+  'use strict';
+
+  var getIsoDate = function(date) {
+    var date = new Date(date);
+    var year = date.getFullYear().toString();
+    var month = (date.getMonth() + 1) < 10 ?
+        '0' + (date.getMonth() + 1) :
+        (date.getMonth() + 1).toString();
+    var day = date.getDate() < 10 ?
+        '0' + date.getDate() :
+        date.getDate().toString();
+    return year + month + day;
+  };
+
+  if (!project) {
+    return '';
+  }
+  if (!article) {
+    return '';
+  }
+  var results = [];
+  var sum = 0;
+  try {
+    opt_start = opt_start || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    if (typeof opt_start === 'object') {
+      opt_start = getIsoDate(opt_start);
+    }
+    opt_end = opt_end || new Date(Date.now() - 1 * 24 * 60 * 60 * 1000);
+    if (typeof opt_end === 'object') {
+      opt_end = getIsoDate(opt_end);
+    }
+    var url = 'https://wikimedia.org/api/rest_v1/metrics/pageviews/' +
+        'per-article' +
+        '/' + project +
+        '/' + (opt_access ? opt_access : 'all-access') +
+        '/' + (opt_agent ? opt_agent : 'all-agents') +
+        '/' + encodeURIComponent(article.replace(/\s/g, '_')) +
+        '/' + (opt_granularity ? opt_granularity : 'daily') +
+        '/' + opt_start +
+        '/' + opt_end;
+    var json = fetchJson_(url);
+    json.items.forEach(function(item) {
+      if (opt_sumOnly) {
+        sum += item.views;
+      } else {
+        var timestamp = item.timestamp.replace(/^(\d{4})(\d{2})(\d{2})(\d{2})$/,
+            '$1-$2-$3-$4').split('-');
+        timestamp = new Date(Date.UTC(
+            parseInt(timestamp[0], 10), // Year
+            parseInt(timestamp[1], 10) - 1, // Month
+            parseInt(timestamp[2], 10), // Day
+            parseInt(timestamp[3], 10), // Hour
+            0, // Minute
+            0)); // Second))
+        results.push([
+          timestamp,
+          item.views
+        ]);
+      }
+    });
+  } catch (e) {
+    return handleError_(e);
+  }
+  if (opt_sumOnly) {
+    return [sum];
+  } else {
+    results.reverse(); // Order from new to old
+    return results.length > 0 ? results : '';
+  }
+}
+
+/**
+ * Returns aggregated pageviews statistics for a project.
+ *
+ * @param {string} project The Wikimedia project to get pageviews statistics for.
+ * @param {string=} opt_access The access method, defaults to "all-access" (optional).
+ * @param {string=} opt_agent The agent, defaults to "all-agents" (optional).
+ * @param {string=} opt_granularity The granularity, defaults to "daily" (optional).
+ * @param {string=} opt_start The start date in the format "YYYYMMDDHH" ("2007060800") since when pageviews statistics should be retrieved from (optional).
+ * @param {string=} opt_end The end date in the format "YYYYMMDDHH" ("2007060800") until when pageviews statistics should be retrieved to (optional).
+ * @return {Array<number>} The list of aggregated pageviews between start and end.
+ * @customfunction
+ */
+function WIKIPAGEVIEWSAGGREGATE(project, opt_access, opt_agent, opt_granularity,
+    opt_start, opt_end) {
+  'use strict';
+
+  var getIsoDateWithHour = function(date) {
+    var date = new Date(date);
+    var year = date.getFullYear().toString();
+    var month = (date.getMonth() + 1) < 10 ?
+        '0' + (date.getMonth() + 1) :
+        (date.getMonth() + 1).toString();
+    var day = date.getDate() < 10 ?
+        '0' + date.getDate() :
+        date.getDate().toString();
+    return year + month + day + '00';
+  };
+
+  if (!project) {
+    return '';
+  }
+  var results = [];
+  try {
+    opt_start = opt_start || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    if (typeof opt_start === 'object') {
+      opt_start = getIsoDateWithHour(opt_start);
+    }
+    opt_end = opt_end || new Date(Date.now() - 1 * 24 * 60 * 60 * 1000);
+    if (typeof opt_end === 'object') {
+      opt_end = getIsoDateWithHour(opt_end);
+    }
+    var url = 'https://wikimedia.org/api/rest_v1/metrics/pageviews/' +
+        'aggregate' +
+        '/' + project +
+        '/' + (opt_access ? opt_access : 'all-access') +
+        '/' + (opt_agent ? opt_agent : 'all-agents') +
+        '/' + (opt_granularity ? opt_granularity : 'daily') +
+        '/' + opt_start +
+        '/' + opt_end;
+    var json = fetchJson_(url);
+    json.items.forEach(function(item) {
+      var timestamp = item.timestamp.replace(/^(\d{4})(\d{2})(\d{2})(\d{2})$/,
+          '$1-$2-$3-$4').split('-');
+      timestamp = new Date(Date.UTC(
+          parseInt(timestamp[0], 10), // Year
+          parseInt(timestamp[1], 10) - 1, // Month
+          parseInt(timestamp[2], 10), // Day
+          parseInt(timestamp[3], 10), // Hour
+          0, // Minute
+          0)); // Second))
+      results.push([
+        timestamp,
+        item.views
+      ]);
+    });
+  } catch (e) {
+    return handleError_(e);
+  }
+  results.reverse(); // Order from new to old
+  return results.length > 0 ? results : '';
+}
+
+/**
+ * Returns the periods of a top pageviews request as "YYYY/MM/DD" or
+ * "YYYY/MM/all-days" paths of the Wikimedia metrics API.
+ *
+ * @param {(Date|string)=} opt_date The date in the format "YYYYMMDD", or the month in the format "YYYYMM", defaults to yesterday (optional).
+ * @param {(Date|string)=} opt_end The end date in the format "YYYYMMDD" of a range of at most `MAX_TOP_DAYS` days (optional).
+ * @return {Array<string>} The paths.
+ */
+function getTopPeriods_(opt_date, opt_end) {
+  'use strict';
+  var toPath = function(date) {
+    return date.substr(0, 4) + '/' + date.substr(4, 2) + '/' +
+        (date.substr(6, 2) || 'all-days');
+  };
+  if (/^\d{4}-?\d{2}$/.test(opt_date)) {
+    return [toPath(String(opt_date).replace('-', ''))];
+  }
+  var timeZone = getTimeZone_();
+  var start = opt_date ? getMetricsDate_(opt_date, timeZone) :
+      getMetricsDaysAgo_(1);
+  var end = opt_end ? getMetricsDate_(opt_end, timeZone) : start;
+  var days = getMetricsDays_(start, end);
+  if (days.length > MAX_TOP_DAYS) {
+    throw new WikiError_(ERRORS.INPUT, 'More than ' + MAX_TOP_DAYS +
+        ' days from ' + start + ' to ' + end);
+  }
+  return days.map(toPath);
+}
+
+/**
+ * Returns a filter for titles of the Wikimedia metrics API that only accepts
+ * articles, so no main page, no special pages, no pages in other namespaces,
+ * and no "-" for unknown pages. The namespace names are fetched from the
+ * wikis, since they are localized.
+ *
+ * @param {Array<string>} projects The projects of the titles ("en.wikipedia").
+ * @return {function(string, string): boolean} Returns whether the title of a project is an article.
+ */
+function getArticleFilter_(projects) {
+  'use strict';
+  projects = projects.filter(function(project, i) {
+    return projects.indexOf(project) === i;
+  });
+  // The metrics API only covers Wikimedia wikis, even if a wiki is configured
+  var urls = projects.map(function(project) {
+    return 'https://' + project.replace(/\.org$/, '') + '.org/w/api.php' +
+        '?action=query' +
+        '&format=json' +
+        '&formatversion=2' +
+        '&meta=siteinfo' +
+        '&siprop=general%7Cnamespaces%7Cnamespacealiases';
+  });
+  var excluded = {};
+  fetchAllJson_(urls).forEach(function(json, i) {
+    if (json instanceof Error) {
+      throw json;
+    }
+    var titles = {
+      prefixes: [],
+      mainPage: json.query.general.mainpage
+    };
+    for (var id in json.query.namespaces) {
+      var namespace = json.query.namespaces[id];
+      if (namespace.id !== 0) {
+        titles.prefixes.push(namespace.name, namespace.canonical);
+      }
+    }
+    json.query.namespacealiases.forEach(function(alias) {
+      if (alias.id !== 0) {
+        titles.prefixes.push(alias.alias);
+      }
+    });
+    titles.prefixes = titles.prefixes.filter(Boolean).map(function(prefix) {
+      return prefix.toLowerCase() + ':';
+    });
+    excluded[projects[i]] = titles;
+  });
+  return function(project, title) {
+    var titles = excluded[project];
+    title = title.replace(/_/g, ' ');
+    if (title === '-' || title === titles.mainPage) {
+      return false;
+    }
+    var lowerCaseTitle = title.toLowerCase();
+    return !titles.prefixes.some(function(prefix) {
+      return lowerCaseTitle.indexOf(prefix) === 0;
+    });
+  };
+}
+
 /**
- * Returns Wikipedia synonyms (redirects) for a Wikipedia article.
+ * Sums the pageviews of the top articles of several periods, and returns them
+ * from most to least viewed. Articles missing from the top list of a period
+ * count no views for it, so the sums are lower bounds.
  *
- * @param {string} article The Wikipedia article in the format "language:Article_Title" ("de:Berlin") to get synonyms for.
- * @param {string=} opt_namespaces Only include pages in these namespaces (optional).
- * @return {Array<string>} The list of synonyms.
+ * @param {Array<string>} urls The top pageviews URLs of the periods.
+ * @param {function(Object): {project: string, article: string, views: number}} getEntry Returns the project, title, and pageviews of an entry of the top list.
+ * @param {boolean=} opt_articlesOnly Whether to leave out the main page, special pages, and pages in other namespaces than articles (optional).
+ * @return {Array<{project: string, article: string, views: number}>} The summed pageviews.
+ */
+function sumTopPageviews_(urls, getEntry, opt_articlesOnly) {
+  'use strict';
+  var entries = {};
+  fetchAllJson_(urls).forEach(function(json) {
+    if (json instanceof Error) {
+      throw json;
+    }
+    json.items[0].articles.forEach(function(item) {
+      var entry = getEntry(item);
+      var key = entry.project + ':' + entry.article;
+      if (entries[key]) {
+        entries[key].views += entry.views;
+      } else {
+        entries[key] = entry;
+      }
+    });
+  });
+  var results = Object.keys(entries).map(function(key) {
+    return entries[key];
+  });
+  if (opt_articlesOnly) {
+    var isArticle = getArticleFilter_(results.map(function(entry) {
+      return entry.project;
+    }));
+    results = results.filter(function(entry) {
+      return isArticle(entry.project, entry.article);
+    });
+  }
+  return results.sort(function(a, b) {
+    return b.views - a.views;
+  });
+}
+
+/**
+ * Returns most viewed pages for a project.
+ *
+ * @param {string} project The Wikimedia project to get pageviews statistics for.
+ * @param {string=} opt_access The access method, defaults to "all-access" (optional).
+ * @param {string=} opt_date The date in the format "YYYYMMDD" ("20070608") for which pageviews statistics should be retrieved, or the month in the format "YYYYMM" ("200706") (optional).
+ * @param {string=} opt_end The end date in the format "YYYYMMDD" ("20070608") to sum the pageviews of all days from the date on, at most 31 days. Articles count only on the days they are in the top list, so the sums are lower bounds (optional).
+ * @param {boolean=} opt_articlesOnly Whether to leave out the main page, special pages, and pages in other namespaces than articles (optional).
+ * @return {Array<number>} The list of the most viewed pages with rank, title, and pageviews.
  * @customfunction
  */
-function WIKISYNONYMS(article, opt_namespaces) {
+function WIKIPAGEVIEWSTOP(project, opt_access, opt_date, opt_end,
+    opt_articlesOnly) {
   'use strict';
-  if (!article) {
+  if (!project) {
     return '';
   }
   var results = [];
   try {
-    var language;
-    var title;
-    if (article.indexOf(':') !== -1) {
-      language = article.split(/:(.+)?/)[0];
-      title = article.split(/:(.+)?/)[1];
-    } else {
-      language = DEFAULT_LANGUAGE;
-      title = article;
+    var urls = getTopPeriods_(opt_date, opt_end).map(function(period) {
+      return 'https://wikimedia.org/api/rest_v1/metrics/pageviews/' +
+          'top' +
+          '/' + project +
+          '/' + (opt_access ? opt_access : 'all-access') +
+          '/' + period;
+    });
+    results = sumTopPageviews_(urls, function(article) {
+      return {
+        project: project,
+        article: article.article,
+        views: article.views
+      };
+    }, opt_articlesOnly).map(function(entry, i) {
+      return [i + 1, entry.article.replace(/_/g, ' '), entry.views];
+    });
+  } catch (e) {
+    return handleError_(e);
+  }
+  return results.length > 0 ? results : '';
+}
+
+/**
+ * Returns most viewed pages of all projects in a country.
+ *
+ * @param {string} country The two-letter country code ("DE") to get pageviews statistics for.
+ * @param {string=} opt_access The access method, defaults to "all-access" (optional).
+ * @param {string=} opt_date The date in the format "YYYYMMDD" ("20070608") for which pageviews statistics should be retrieved, or the month in the format "YYYYMM" ("200706") (optional).
+ * @param {string=} opt_end The end date in the format "YYYYMMDD" ("20070608") to sum the pageviews of all days from the date on, at most 31 days. Articles count only on the days they are in the top list, so the sums are lower bounds (optional).
+ * @param {boolean=} opt_articlesOnly Whether to leave out the main page, special pages, and pages in other namespaces than articles (optional).
+ * @return {Array<number>} The list of the most viewed pages with rank, project, title, and pageviews, which are rounded up to the next thousand.
+ * @customfunction
+ */
+function WIKIPAGEVIEWSTOPBYCOUNTRY(country, opt_access, opt_date, opt_end,
+    opt_articlesOnly) {
+  'use strict';
+  if (!country) {
+    return '';
+  }
+  var results = [];
+  try {
+    if (!/^[a-z]{2}$/i.test(country)) {
+      throw new WikiError_(ERRORS.INPUT, country);
     }
-    if (!title) {
-      return '';
+    var urls = getTopPeriods_(opt_date, opt_end).map(function(period) {
+      return 'https://wikimedia.org/api/rest_v1/metrics/pageviews/' +
+          'top-per-country' +
+          '/' + country.toUpperCase() +
+          '/' + (opt_access ? opt_access : 'all-access') +
+          '/' + period;
+    });
+    results = sumTopPageviews_(urls, function(article) {
+      return {
+        project: article.project,
+        article: article.article,
+        views: article.views_ceil
+      };
+    }, opt_articlesOnly).map(function(entry, i) {
+      return [
+        i + 1,
+        entry.project,
+        entry.article.replace(/_/g, ' '),
+        entry.views
+      ];
+    });
+  } catch (e) {
+    return handleError_(e);
+  }
+  return results.length > 0 ? results : '';
+}
+
+/**
+ * Returns the number of unique devices for a project.
+ *
+ * @param {string} project The Wikimedia project to get pageviews statistics for.
+ * @param {string=} opt_accessSite The accesses sites, defaults to "all-sites" (optional).
+ * @param {string=} opt_granularity The granularity, defaults to "daily" (optional).
+ * @param {string=} opt_start The start date in the format "YYYYMMDD" ("20070608") since when pageviews statistics should be retrieved from (optional).
+ * @param {string=} opt_end The end date in the format "YYYYMMDD" ("20070608") until when pageviews statistics should be retrieved to (optional).
+ * @return {Array<number>} The list of unique devices between start and end.
+ * @customfunction
+ */
+function WIKIUNIQUEDEVICES(project, opt_accessSite, opt_granularity, opt_start,
+    opt_end) {
+  'use strict';
+
+  var getIsoDate = function(date) {
+    var date = new Date(date);
+    var year = date.getFullYear().toString();
+    var month = (date.getMonth() + 1) < 10 ?
+        '0' + (date.getMonth() + 1) :
+        (date.getMonth() + 1).toString();
+    var day = date.getDate() < 10 ?
+        '0' + date.getDate() :
+        date.getDate().toString();
+    return year + month + day;
+  };
+
+  if (!project) {
+    return '';
+  }
+  var results = [];
+  var sum = 0;
+  try {
+    opt_start = opt_start || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    if (typeof opt_start === 'object') {
+      opt_start = getIsoDate(opt_start);
     }
-    var url = 'https://' + language + '.wikipedia.org/w/api.php' +
-        '?action=query' +
-        '&blnamespace=' + (opt_namespaces ?
-            encodeURIComponent(opt_namespaces) : '0') +
-        '&list=backlinks' +
-        '&blfilterredir=redirects' +
-        '&bllimit=max' +
-        '&format=xml' +
-        '&bltitle=' + encodeURIComponent(title.replace(/\s/g, '_'));
-    var xml = UrlFetchApp.fetch(url, HEADERS).getContentText();
-    var document = XmlService.parse(xml);
-    var entries = document.getRootElement().getChild('query')
-        .getChild('backlinks').getChildren('bl');
-    for (var i = 0; i < entries.length; i++) {
-      var text = entries[i].getAttribute('title').getValue();
-      results[i] = text;
+    opt_end = opt_end || new Date(Date.now() - 1 * 24 * 60 * 60 * 1000);
+    if (typeof opt_end === 'object') {
+      opt_end = getIsoDate(opt_end);
     }
+    var url = 'https://wikimedia.org/api/rest_v1/metrics/unique-devices' +
+        '/' + project +
+        '/' + (opt_accessSite ? opt_accessSite : 'all-sites') +
+        '/' + (opt_granularity ? opt_granularity : 'daily') +
+        '/' + opt_start +
+        '/' + opt_end;
+    var json = fetchJson_(url);
+    json.items.forEach(function(item) {
+      var timestamp = item.timestamp.replace(/^(\d{4})(\d{2})(\d{2})$/,
+          '$1-$2-$3').split('-');
+      timestamp = new Date(Date.UTC(
+          parseInt(timestamp[0], 10), // Year
+          parseInt(timestamp[1], 10) - 1, // Month
+          parseInt(timestamp[2], 10), // Day
+          0, // Hour
+          0, // Minute
+          0)); // Second))
+      results.push([
+        timestamp,
+        item.devices
+      ]);
+    });
   } catch (e) {
-    // no-op
+    return handleError_(e);
   }
   return results.length > 0 ? results : '';
 }
 
 /**
- * Returns Wikipedia articles around a Wikipedia article or around a point.
+ * Returns a MediaWiki API timestamp for the start or end of a day, which is
+ * read in the time zone of the spreadsheet. Full timestamps like
+ * "2007-06-08T12:00:00Z" are used as they are.
  *
- * @param {string} articleOrPoint The Wikipedia article in the format "language:Article_Title" ("de:Berlin") or the point in the format "language:Latitude,Longitude" ("en:37.786971,-122.399677") to get articles around for.
- * @param {number} radius The search radius in meters.
- * @param {boolean=} opt_includeDistance Whether to include the distance in the output, defaults to false (optional).
- * @param {string=} opt_namespaces Only include pages in these namespaces (optional).
- * @return {Array<string>} The list of articles around the given article or point.
+ * @param {(Date|string)} date The day as date or in the format "YYYYMMDD" ("20070608").
+ * @param {string} timeZone The time zone of the spreadsheet.
+ * @param {boolean=} opt_endOfDay Whether to return the last second of the day instead of the first (optional).
+ * @return {string} The timestamp in the format "2007-06-08T00:00:00Z".
+ */
+function getRevisionTimestamp_(date, timeZone, opt_endOfDay) {
+  'use strict';
+  if (typeof date === 'string' && /T/.test(date)) {
+    return date;
+  }
+  var day = getMetricsDate_(date, timeZone);
+  if (opt_endOfDay) {
+    day = addMetricsDays_(day, 1);
+  }
+  var time = parseMetricsDate_(day, timeZone).getTime();
+  return new Date(opt_endOfDay ? time - 1000 : time).toISOString()
+      .replace(/\.\d+Z$/, 'Z');
+}
+
+/**
+ * Fetches the revisions of a Wikipedia article between two dates, from new to
+ * old, and adds the size delta to each revision. The delta of the oldest
+ * revision is computed from the size of its parent revision, which lies
+ * outside the window.
+ *
+ * @param {Object} parsed The parsed Wikipedia article as returned by parseArticle_.
+ * @param {(Date|string)=} opt_start The start date since when revisions should be retrieved, defaults to 30 days ago (optional).
+ * @param {(Date|string)=} opt_end The end date until when revisions should be retrieved, defaults to today (optional).
+ * @param {(number|string)=} opt_limit The maximum number of revisions, or "all" for no limit (optional).
+ * @return {Array<Object>} The revisions as returned by the JSON API, with a `delta` and a `date`.
+ */
+function fetchRevisions_(parsed, opt_start, opt_end, opt_limit) {
+  'use strict';
+  var timeZone = getTimeZone_();
+  var start = getRevisionTimestamp_(
+      opt_start || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000), timeZone);
+  var end = getRevisionTimestamp_(opt_end || new Date(), timeZone, true);
+  var apiUrl = getApiUrl_(parsed.host);
+  var url = apiUrl +
+      '?action=query' +
+      '&format=json' +
+      '&formatversion=2' +
+      '&prop=revisions' +
+      '&rvprop=ids%7Cflags%7Csize%7Ctimestamp%7Cuser%7Ccomment%7Ctags' +
+      '&rvlimit=max' +
+      '&rvstart=' + end + // Reversed on purpose due to confusing API name
+      '&rvend=' + start + // Reversed on purpose due to confusing API name
+      '&titles=' + encodeURIComponent(parsed.title.replace(/\s/g, '_'));
+  var revisions = fetchAllPages_(url, function(json) {
+    var page = json.query.pages[0];
+    checkPage_(page, parsed.language + ':' + parsed.title);
+    return page.revisions || [];
+  }, opt_limit);
+  revisions.forEach(function(revision, i) {
+    revision.date = new Date(revision.timestamp);
+    if (i < revisions.length - 1) {
+      revision.delta = revision.size - revisions[i + 1].size;
+    }
+  });
+  var oldest = revisions[revisions.length - 1];
+  if (oldest && !oldest.parentid) {
+    // The page was created in the window
+    oldest.delta = oldest.size;
+  } else if (oldest) {
+    var json = fetchJson_(apiUrl +
+        '?action=query' +
+        '&format=json' +
+        '&formatversion=2' +
+        '&prop=revisions' +
+        '&rvprop=size' +
+        '&revids=' + oldest.parentid);
+    var parent = (json.query.pages || []).reduce(function(found, page) {
+      return found || (page.revisions || [])[0];
+    }, null);
+    // Deleted parent revisions leave the delta unknown
+    oldest.delta = parent && 'size' in parent ? oldest.size - parent.size : '';
+  }
+  return revisions;
+}
+
+/**
+ * Returns whether the registered users of a wiki are bots, based on their
+ * user groups.
+ *
+ * @param {string} host The host of the wiki ("en.wikipedia.org").
+ * @param {Array<string>} users The user names.
+ * @return {Object<string, boolean>} Whether each user is a bot, by user name.
+ */
+function fetchBots_(host, users) {
+  'use strict';
+  var bots = {};
+  for (var i = 0; i < users.length; i += MAX_TITLES) {
+    var json = fetchJson_(getApiUrl_(host) +
+        '?action=query' +
+        '&format=json' +
+        '&formatversion=2' +
+        '&list=users' +
+        '&usprop=groups' +
+        '&ususers=' + users.slice(i, i + MAX_TITLES)
+            .map(encodeURIComponent).join('%7C'));
+    json.query.users.forEach(function(user) {
+      bots[user.name] = (user.groups || []).indexOf('bot') !== -1;
+    });
+  }
+  return bots;
+}
+
+/**
+ * Returns Wikipedia pageedits statistics for a Wikipedia article.
+ *
+ * @param {string} article The Wikipedia article in the format "language:Article_Title" ("de:Berlin") to get pageedits statistics for.
+ * @param {string=} opt_start The start date in the format "YYYYMMDD" ("2007-06-08") since when pageedits statistics should be retrieved from (optional).
+ * @param {string=} opt_end The end date in the format "YYYYMMDD" ("2007-06-08") until when pageedits statistics should be retrieved to (optional).
+ * @param {number=} opt_limit The maximum number of results, or "all" for no limit, defaults to 10000 (optional).
+ * @return {Array<number>} The list of pageedits between start and end and their deltas.
  * @customfunction
  */
-function WIKIARTICLESAROUND(articleOrPoint, radius, opt_includeDistance,
-    opt_namespaces) {
+function WIKIPAGEEDITS(article, opt_start, opt_end, opt_limit) {
   'use strict';
-  if (!articleOrPoint) {
+  if (!article) {
     return '';
   }
   var results = [];
   try {
-    var language;
-    var rest;
-    var title;
-    var latitude;
-    var longitude;
-    if (articleOrPoint.indexOf(':') !== -1) {
-      language = articleOrPoint.split(/:(.+)?/)[0];
-      rest = articleOrPoint.split(/:(.+)?/)[1];
-      title = false;
-      latitude = false;
-      longitude = false;
-      if (/^[-+]?([1-8]?\d(\.\d+)?|90(\.0+)?),\s*[-+]?(180(\.0+)?|((1[0-7]\d)|([1-9]?\d))(\.\d+)?)$/.test(rest)) {
-        latitude = rest.split(',')[0];
-        longitude = rest.split(',')[1];
-      } else {
-        title = rest;
-      }
-    } else {
-      language = DEFAULT_LANGUAGE;
-      rest = articleOrPoint;
-      title = false;
-      latitude = false;
-      longitude = false;
-      if (/^[-+]?([1-8]?\d(\.\d+)?|90(\.0+)?),\s*[-+]?(180(\.0+)?|((1[0-7]\d)|([1-9]?\d))(\.\d+)?)$/.test(rest)) {
-        latitude = rest.split(',')[0];
-        longitude = rest.split(',')[1];
-      } else {
-        title = rest;
-      }
+    var parsed = parseArticle_(article);
+    if (!parsed.title) {
+      return '';
     }
-    if ((!title) && !(latitude && longitude)) {
-      return;
+    results = fetchRevisions_(parsed, opt_start, opt_end, opt_limit)
+        .map(function(revision) {
+          return [
+            revision.date,
+            revision.delta
+          ];
+        });
+  } catch (e) {
+    return handleError_(e);
+  }
+  return results.length > 0 ? results : '';
+}
+
+/**
+ * Returns the revision history of a Wikipedia article, or a summary of its
+ * editors.
+ *
+ * @param {string} article The Wikipedia article in the format "language:Article_Title" ("de:Berlin") to get the revision history for.
+ * @param {string=} opt_start The start date in the format "YYYYMMDD" ("2007-06-08") since when revisions should be retrieved from, defaults to 30 days ago (optional).
+ * @param {string=} opt_end The end date in the format "YYYYMMDD" ("2007-06-08") until when revisions should be retrieved to, defaults to today (optional).
+ * @param {number=} opt_limit The maximum number of revisions, or "all" for no limit, defaults to 10000 (optional).
+ * @param {boolean=} opt_summaryOnly Whether to return one row per editor with the user type ("bot", "anonymous", or "registered"), the number of edits, the bytes added, and the number of reverted edits, instead of the revisions (optional).
+ * @return {Array<string>} The list of revisions with timestamp, user, comment, tags, minor flag, revision id, and size delta, from new to old, or the list of editors from most to least edits.
+ * @customfunction
+ */
+function WIKIPAGEREVISIONS(article, opt_start, opt_end, opt_limit,
+    opt_summaryOnly) {
+  'use strict';
+  if (!article) {
+    return '';
+  }
+  var results = [];
+  try {
+    var parsed = parseArticle_(article);
+    if (!parsed.title) {
+      return '';
     }
-    var url = 'https://' + language + '.wikipedia.org/w/api.php';
-    if (title) {
-      url += '?action=query' +
-          '&list=geosearch' +
-          '&format=xml' +
-          '&gslimit=max' +
-          '&gsradius=' + radius +
-          '&gspage=' + encodeURIComponent(title.replace(/\s/g, '_'));
-    } else {
-      url += '?action=query' +
-          '&list=geosearch' +
-          '&format=xml&gslimit=max' +
-          '&gsradius=' + radius +
-          '&gscoord=' + latitude + '%7C' + longitude;
+    var revisions = fetchRevisions_(parsed, opt_start, opt_end, opt_limit);
+    if (!opt_summaryOnly) {
+      results = revisions.map(function(revision) {
+        return [
+          revision.date,
+          revision.user || '',
+          revision.comment || '',
+          (revision.tags || []).join(', '),
+          !!revision.minor,
+          revision.revid,
+          revision.delta
+        ];
+      });
+      return results.length > 0 ? results : '';
     }
-    url += '&gsnamespace=' + (opt_namespaces ?
-        encodeURIComponent(opt_namespaces) : '0');
-    var xml = UrlFetchApp.fetch(url, HEADERS).getContentText();
-    var document = XmlService.parse(xml);
-    var entries = document.getRootElement().getChild('query')
-        .getChild('geosearch').getChildren('gs');
-    for (var i = 0; i < entries.length; i++) {
-      var title = entries[i].getAttribute('title').getValue();
-      var lat = entries[i].getAttribute('lat').getValue();
-      var lon = entries[i].getAttribute('lon').getValue();
-      if (opt_includeDistance) {
-        var dist = entries[i].getAttribute('dist').getValue();
-        results[i] = [title, lat, lon, dist];
-      } else {
-        results[i] = [title, lat, lon];
+    var editors = {};
+    revisions.forEach(function(revision) {
+      // Hidden user names are grouped together
+      var user = revision.user || '';
+      var editor = editors[user] = editors[user] || {
+        user: user,
+        anonymous: !!revision.anon,
+        edits: 0,
+        bytes: 0,
+        reverted: 0
+      };
+      editor.edits++;
+      editor.bytes += revision.delta > 0 ? revision.delta : 0;
+      if ((revision.tags || []).indexOf('mw-reverted') !== -1) {
+        editor.reverted++;
       }
-    }
+    });
+    var registered = Object.keys(editors).filter(function(user) {
+      return user && !editors[user].anonymous;
+    });
+    var bots = fetchBots_(parsed.host, registered);
+    results = Object.keys(editors).map(function(user) {
+      var editor = editors[user];
+      return [
+        editor.user,
+        bots[user] ? 'bot' : editor.anonymous ? 'anonymous' : 'registered',
+        editor.edits,
+        editor.bytes,
+        editor.reverted
+      ];
+    }).sort(function(a, b) {
+      return b[2] - a[2] || b[3] - a[3];
+    });
+  } catch (e) {
+    return handleError_(e);
+  }
+  return results.length > 0 ? results : '';
+}
+
+/**
+ * Returns the link to the diff of a revision to its parent revision.
+ *
+ * @param {string} host The host of the wiki ("en.wikipedia.org").
+ * @param {Object} revision The revision as returned by the JSON API.
+ * @return {string} The diff URL.
+ */
+function getDiffUrl_(host, revision) {
+  'use strict';
+  var url = getApiUrl_(host).replace(/api\.php$/, 'index.php');
+  return revision.parentid ?
+      url + '?diff=' + revision.revid + '&oldid=' + revision.parentid :
+      url + '?oldid=' + revision.revid;
+}
+
+/**
+ * Fetches the latest revision of each article of a range, batching up to 50
+ * titles per request.
+ *
+ * @param {Array<Array<string>>} articles The range of Wikipedia articles in the format "language:Article_Title" ("de:Berlin").
+ * @return {Array<Array<*>>} One row per article with timestamp, user, comment, and diff link, or with an error message.
+ */
+function fetchLatestRevisions_(articles) {
+  'use strict';
+  return fetchPagesBatch_(articles,
+      '&prop=revisions&rvprop=ids%7Ctimestamp%7Cuser%7Ccomment',
+      function(page, host) {
+        var revision = page.revisions[0];
+        return [
+          new Date(revision.timestamp),
+          revision.user || '',
+          revision.comment || '',
+          getDiffUrl_(host, revision)
+        ];
+      });
+}
+
+/**
+ * Returns the latest revision of one or more Wikipedia articles.
+ *
+ * @param {string} articles The Wikipedia article in the format "language:Article_Title" ("de:Berlin"), or a single-column range of articles.
+ * @return {Array<string>} The timestamp, user, comment, and diff link of the latest revision, one row per article.
+ * @customfunction
+ */
+function WIKILATESTREVISIONS(articles) {
+  'use strict';
+  if (!articles) {
+    return '';
+  }
+  try {
+    var rows = fetchLatestRevisions_(Array.isArray(articles) ? articles :
+        [[articles]]);
+    return Array.isArray(articles) ? rows : rows[0];
   } catch (e) {
-    // no-op
+    return handleError_(e);
   }
-  return results.length > 0 ? results : '';
 }
 
 /**
- * Returns Wikipedia translations (language links) for a Wikipedia article.
+ * Returns Wikipedia article results for a query.
  *
- * @param {string} article The Wikipedia article in the format "language:Article_Title" ("de:Berlin") to get translations for.
- * @param {Array<string>=} opt_targetLanguages The list of languages to limit the results to (optional).
- * @param {boolean=} opt_skipHeader Whether to skip the header, defaults to false (optional).
- * @return {Array<string>} The list of translations.
+ * @param {string} query The query in the format "language:Query" ("de:Berlin") to get search results for.
+ * @param {boolean=} opt_didYouMean Whether to return a "did you mean" suggestion, defaults to false (optional).
+ * @param {string=} opt_namespaces Only include pages in these namespaces (optional).
+ * @param {number=} opt_limit The maximum number of results, or "all" for no limit, defaults to 10000 (optional).
+ * @return {Array<string>} The list of article results.
  * @customfunction
  */
-function WIKITRANSLATE(article, opt_targetLanguages, opt_skipHeader,
-    _opt_returnAsObject) {
+function WIKISEARCH(query, opt_didYouMean, opt_namespaces, opt_limit) {
   'use strict';
-  if (!article) {
+  if (!query) {
     return '';
   }
-  var results = {};
-  opt_targetLanguages = opt_targetLanguages || [];
-  opt_targetLanguages = Array.isArray(opt_targetLanguages) ?
-      opt_targetLanguages : [opt_targetLanguages];
-  var temp = {};
-  opt_targetLanguages.forEach(function(lang) {
-    temp[lang] = true;
-  });
-  opt_targetLanguages = Object.keys(temp);
+  var results = [];
   try {
-    var language;
-    var title;
-    if (article.indexOf(':') !== -1) {
-      language = article.split(/:(.+)?/)[0];
-      title = article.split(/:(.+)?/)[1];
-    } else {
-      language = DEFAULT_LANGUAGE;
-      title = article;
-    }
+    var parsed = parseSitePrefix_(query);
+    var title = parsed.text;
     if (!title) {
       return '';
     }
-    opt_targetLanguages.forEach(function(targetLanguage) {
-      if (targetLanguage) {
-        results[targetLanguage] = title.replace(/_/g, ' ');
-      }
-    });
-    var url = 'https://' + language + '.wikipedia.org/w/api.php' +
+    var url = getApiUrl_(parsed.host) +
         '?action=query' +
-        '&prop=langlinks' +
-        '&format=xml' +
-        '&lllimit=max' +
-        '&titles=' + encodeURIComponent(title.replace(/\s/g, '_'));
-    var xml = UrlFetchApp.fetch(url, HEADERS).getContentText();
-    var document = XmlService.parse(xml);
-    var entries = document.getRootElement().getChild('query').getChild('pages')
-        .getChild('page').getChild('langlinks').getChildren('ll');
-    var targetLanguagesSet = opt_targetLanguages.length > 0;
-    for (var i = 0; i < entries.length; i++) {
-      var text = entries[i].getText();
-      var lang = entries[i].getAttribute('lang').getValue();
-      if ((targetLanguagesSet) && (opt_targetLanguages.indexOf(lang) === -1)) {
-        continue;
+        '&format=json' +
+        '&list=search' +
+        '&srinfo=suggestion' +
+        '&srprop=' + // Empty on purpose
+        '&srlimit=max' +
+        '&srsearch=' + encodeURIComponent(title) +
+        '&srnamespace=' + (opt_namespaces ?
+            encodeURIComponent(opt_namespaces) : '0');
+    var suggestion = title;
+    var entries = fetchAllPages_(url, function(json) {
+      if (json.query.searchinfo && json.query.searchinfo.suggestion) {
+        suggestion = json.query.searchinfo.suggestion;
       }
-      results[lang] = text;
-    }
-    title = title.replace(/_/g, ' ');
-    results[language] = title;
+      return json.query.search;
+    }, opt_limit);
+    entries.forEach(function(result, i) {
+      result = result.title;
+      if (opt_didYouMean) {
+        if (i === 0) {
+          results[i] = [
+            result,
+            suggestion
+          ];
+        } else {
+          results[i] = [result, ''];
+        }
+      } else {
+        results[i] = result;
+      }
+    });
   } catch (e) {
-    // no-op
-  }
-  if (_opt_returnAsObject) {
-    return results;
+    return handleError_(e);
   }
-  var arrayResults = [];
-  for (var lang in results) {
-    if (opt_skipHeader) {
-      arrayResults.push(results[lang]);
-    } else {
-      arrayResults.push([lang, results[lang]]);
-    }
+  return results.length > 0 ? results : '';
+}
+
+/**
+ * Removes the tags from HTML and decodes its character references.
+ *
+ * @param {string} html The HTML.
+ * @return {string} The text.
+ */
+function stripHtml_(html) {
+  'use strict';
+  var entities = {amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'',
+      nbsp: ' '};
+  return String(html).replace(/<[^>]*>/g, '')
+      .replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, function(match, name) {
+        if (name.charAt(0) === '#') {
+          return String.fromCharCode(/^#x/i.test(name) ?
+              parseInt(name.substr(2), 16) : parseInt(name.substr(1), 10));
+        }
+        return entities[name.toLowerCase()] || match;
+      });
+}
+
+/**
+ * Splits a text into chunks that fit into a cell, preferably at line breaks,
+ * else at spaces.
+ *
+ * @param {string} text The text.
+ * @return {Array<string>} The chunks.
+ */
+function splitText_(text) {
+  'use strict';
+  var chunks = [];
+  while (text.length > MAX_CELL_LENGTH) {
+    var head = text.substr(0, MAX_CELL_LENGTH);
+    var end = head.lastIndexOf('\n') + 1 || head.lastIndexOf(' ') + 1 ||
+        MAX_CELL_LENGTH;
+    chunks.push(text.substr(0, end));
+    text = text.substr(end);
   }
-  return arrayResults.length > 0 ? arrayResults : '';
+  return chunks.concat(text ? [text] : []);
 }
 
 /**
- * Returns Wikipedia translations (language links) and synonyms (redirects) for a Wikipedia article.
+ * Returns the plain text of a Wikipedia article, of its intro, of its first
+ * sentences, or of one of its sections, split into cell-sized chunks.
  *
- * @param {string} article The Wikipedia article in the format "language:Article_Title" ("de:Berlin") to get translations and synonyms for.
- * @param {Array<string>=} opt_targetLanguages The list of languages to limit the results to (optional).
- * @return {Array<string>} The list of translations and synonyms.
+ * @param {string} article The Wikipedia article in the format "language:Article_Title" ("de:Berlin") to get the text for.
+ * @param {(string|number)=} opt_mode The number of sentences (1 to 10), "intro", "full", or "section", defaults to "intro" (optional).
+ * @param {string=} opt_section The title of the section for the "section" mode, including its subsections (optional).
+ * @return {Array<string>} The text, one chunk of at most 50,000 characters per row.
  * @customfunction
  */
-function WIKIEXPAND(article, opt_targetLanguages) {
+function WIKIEXTRACT(article, opt_mode, opt_section) {
   'use strict';
   if (!article) {
     return '';
   }
   var results = [];
   try {
-    var language;
-    var title;
-    if (article.indexOf(':') !== -1) {
-      language = article.split(/:(.+)?/)[0];
-      title = article.split(/:(.+)?/)[1];
-    } else {
-      language = DEFAULT_LANGUAGE;
-      title = article;
-    }
+    var parsed = parseArticle_(article);
+    var title = parsed.title;
     if (!title) {
       return '';
     }
-    opt_targetLanguages = opt_targetLanguages || [];
-    opt_targetLanguages = Array.isArray(opt_targetLanguages) ?
-        opt_targetLanguages : [opt_targetLanguages];
-    var temp = {};
-    opt_targetLanguages.forEach(function(lang) {
-      temp[lang] = true;
-    });
-    opt_targetLanguages = Object.keys(temp);
-    var translations = WIKITRANSLATE(article, opt_targetLanguages, false, true);
-    var i = 0;
-    for (var lang in translations) {
-      var synonyms = WIKISYNONYMS(lang + ':' + translations[lang]);
-      results[i] = [lang].concat(([translations[lang]].concat(synonyms)));
-      i++;
+    var mode = opt_mode ? String(opt_mode).toLowerCase() :
+        opt_section ? 'section' : 'intro';
+    var sentences = parseInt(mode, 10);
+    if (mode === 'section' && !opt_section) {
+      throw new WikiError_(ERRORS.INPUT, 'Missing section title');
+    }
+    if (['intro', 'full', 'section'].indexOf(mode) === -1 &&
+        !(sentences >= 1 && sentences <= 10)) {
+      throw new WikiError_(ERRORS.INPUT, opt_mode);
+    }
+    var url = getApiUrl_(parsed.host) +
+        '?action=query' +
+        '&format=json' +
+        '&formatversion=2' +
+        '&redirects=1' +
+        '&prop=extracts' +
+        '&explaintext=1' +
+        '&exsectionformat=wiki' +
+        (mode === 'intro' ? '&exintro=1' : '') +
+        (sentences ? '&exsentences=' + sentences : '') +
+        '&titles=' + encodeURIComponent(title.replace(/\s/g, '_'));
+    var page = fetchJson_(url).query.pages[0];
+    checkPage_(page, parsed.language + ':' + title);
+    var text = page.extract || '';
+    if (mode === 'section') {
+      var lines = text.split('\n');
+      var wanted = String(opt_section).replace(/_/g, ' ').trim().toLowerCase();
+      var level = 0;
+      var section = [];
+      lines.forEach(function(line) {
+        var heading = /^(=+)\s*(.*?)\s*\1$/.exec(line);
+        if (heading && level && heading[1].length <= level) {
+          level = -1;
+        } else if (heading && !level &&
+            heading[2].toLowerCase() === wanted) {
+          level = heading[1].length;
+        } else if (level > 0) {
+          section.push(line);
+        }
+      });
+      if (!level) {
+        throw new WikiError_(ERRORS.MISSING, parsed.language + ':' + title +
+            '#' + opt_section);
+      }
+      text = section.join('\n');
     }
+    // Headings are returned as plain lines, like in the other modes
+    text = text.replace(/^(=+)\s*(.*?)\s*\1$/gm, '$2')
+        .replace(/\n{3,}/g, '\n\n').trim();
+    results = splitText_(text);
   } catch (e) {
-    // no-op
+    return handleError_(e);
   }
-  return results;
+  return results.length > 0 ? results : '';
 }
 
 /**
- * Returns the Wikimedia Commons link for a file.
+ * Returns the section outline of a Wikipedia article.
  *
- * @param {string} fileName The Wikimedia Commons file name in the format "language:File_Name" ("en:Flag of Berlin.svg") to get the link for.
- * @return {string} The link of the Wikimedia Commons file.
+ * @param {string} article The Wikipedia article in the format "language:Article_Title" ("de:Berlin") to get the sections for.
+ * @return {Array<string>} The list of sections with level, number, title, and anchor.
  * @customfunction
  */
-function WIKICOMMONSLINK(fileName) {
+function WIKISECTIONS(article) {
   'use strict';
-  if (!fileName) {
+  if (!article) {
     return '';
   }
   var results = [];
   try {
-    var language;
-    var title;
-    if (fileName.indexOf(':') !== -1) {
-      language = fileName.split(/:(.+)?/)[0];
-      title = fileName.split(/:(.+)?/)[1];
-    } else {
-      language = DEFAULT_LANGUAGE;
-      title = fileName;
-    }
+    var parsed = parseArticle_(article);
+    var title = parsed.title;
     if (!title) {
       return '';
     }
-    var url = 'https://' + language + '.wikipedia.org/w/api.php' +
-        '?action=query' +
-        '&prop=imageinfo' +
-        '&iiprop=url' +
-        '&format=xml' +
-        '&titles=File:' + encodeURIComponent(title.replace(/\s/g, '_'));
-    var xml = UrlFetchApp.fetch(url, HEADERS).getContentText();
-    var document = XmlService.parse(xml);
-    var entry = document.getRootElement().getChild('query').getChild('pages')
-        .getChild('page').getChild('imageinfo').getChild('ii');
-    var fileUrl = entry.getAttribute('url').getValue();
-    results[0] = fileUrl;
+    var url = getApiUrl_(parsed.host) +
+        '?action=parse' +
+        '&format=json' +
+        '&formatversion=2' +
+        '&redirects=1' +
+        '&prop=sections' +
+        '&page=' + encodeURIComponent(title.replace(/\s/g, '_'));
+    results = fetchJson_(url).parse.sections.map(function(section) {
+      return [
+        section.toclevel,
+        section.number,
+        stripHtml_(section.line),
+        section.anchor
+      ];
+    });
   } catch (e) {
-    // no-op
+    return handleError_(e);
   }
   return results.length > 0 ? results : '';
 }
 
 /**
- * Returns Wikipedia category members for a Wikipedia category.
+ * Splits wikitext at a separator, ignoring separators inside of templates,
+ * links, and tags like references.
  *
- * @param {string} category The Wikipedia category in the format "language:Category_Title" ("en:Category:Visitor_attractions_in_Berlin") to get members for.
- * @param {string=} opt_namespaces Only include pages in these namespaces (optional).
- * @return {Array<string>} The list of category members.
- * @customfunction
+ * @param {string} text The wikitext.
+ * @param {string} separator The separator character ("|" or "=").
+ * @param {number=} opt_max The maximum number of parts, the last part keeps the rest (optional).
+ * @return {Array<string>} The parts.
  */
-function WIKICATEGORYMEMBERS(category, opt_namespaces) {
+function splitWikitext_(text, separator, opt_max) {
   'use strict';
-  if (!category) {
-    return '';
+  var parts = [];
+  var depth = 0;
+  var start = 0;
+  for (var i = 0; i < text.length; i++) {
+    var pair = text.substr(i, 2);
+    if (pair === '{{' || pair === '[[') {
+      depth++;
+      i++;
+    } else if ((pair === '}}' || pair === ']]') && depth > 0) {
+      depth--;
+      i++;
+    } else if (/^<ref[\s>]/i.test(text.substr(i, 5))) {
+      // Skip to the end of the reference, self-closing ones included
+      var end = text.substr(i).search(/\/>|<\/ref\s*>/i);
+      i = end === -1 ? text.length : i + end + 1;
+    } else if (text.charAt(i) === separator && depth === 0 &&
+        (!opt_max || parts.length < opt_max - 1)) {
+      parts.push(text.substring(start, i));
+      start = i + 1;
+    }
   }
-  var results = [];
-  try {
-    var language;
-    var title;
-    if ((category.match(/:/g) || []).length > 1) {
-      language = category.split(/:(.+)?/)[0];
-      title = category.split(/:(.+)?/)[1];
-    } else {
-      language = DEFAULT_LANGUAGE;
-      title = category;
+  parts.push(text.substring(start));
+  return parts;
+}
+
+/**
+ * Returns all templates of wikitext in the order of their start, templates
+ * nested in others included.
+ *
+ * @param {string} wikitext The wikitext.
+ * @return {Array<{start: number, name: string, params: Array<Array<string>>}>} The templates with their start index, name, and named and positional parameters as key/value pairs.
+ */
+function parseTemplates_(wikitext) {
+  'use strict';
+  var templates = [];
+  var starts = [];
+  wikitext = wikitext.replace(/<!--[\s\S]*?-->/g, '');
+  for (var i = 0; i < wikitext.length - 1; i++) {
+    var pair = wikitext.substr(i, 2);
+    if (pair === '{{') {
+      starts.push(i);
+      i++;
+    } else if (pair === '}}' && starts.length) {
+      var start = starts.pop();
+      var parts = splitWikitext_(wikitext.substring(start + 2, i), '|');
+      var position = 0;
+      templates.push({
+        start: start,
+        name: parts.shift().trim().replace(/_/g, ' '),
+        params: parts.map(function(part) {
+          var param = splitWikitext_(part, '=', 2);
+          return param.length === 2 ?
+              [param[0].trim(), param[1].trim()] :
+              [String(++position), param[0].trim()];
+        })
+      });
+      i++;
     }
-    if (!title) {
+  }
+  return templates.sort(function(a, b) {
+    return a.start - b.start;
+  });
+}
+
+/**
+ * Removes the markup from wikitext: references and comments are removed,
+ * links, lists, and formatting are replaced by their text, and templates are
+ * removed, except for dates, unit conversions, lists, and templates that only
+ * wrap text.
+ *
+ * @param {string} wikitext The wikitext.
+ * @return {string} The plain text.
+ */
+function stripWikitext_(wikitext) {
+  'use strict';
+  var text = wikitext
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<ref[^>]*\/>|<ref[^>]*>[\s\S]*?<\/ref\s*>/gi, '')
+      .replace(/<br\s*\/?>/gi, '\n');
+  // Replace innermost templates first, until none are left
+  var template = /\{\{([^{}]*)\}\}/;
+  while (template.test(text)) {
+    text = text.replace(template, function(match, content) {
+      var parts = splitWikitext_(content, '|');
+      var name = parts.shift().trim().toLowerCase();
+      var positional = parts.filter(function(part) {
+        return splitWikitext_(part, '=', 2).length === 1;
+      }).map(function(part) {
+        return part.trim();
+      });
+      if (/date/.test(name) && /^\d+$/.test(positional[0])) {
+        return positional.filter(function(part) {
+          return /^\d+$/.test(part);
+        }).slice(0, 3).map(function(part, i) {
+          return i > 0 && part.length < 2 ? '0' + part : part;
+        }).join('-');
+      }
+      if (/^(convert|cvt)$/.test(name)) {
+        return positional.slice(0, 2).join(' ');
+      }
+      if (/^(plainlist|flatlist|hlist|ubl|unbulleted list|bulleted list)$/
+          .test(name)) {
+        return positional.join('\n');
+      }
+      if (/^(nowrap|nobr|small|big|lang|transl|nobold|noitalic)$/.test(name)) {
+        return positional[positional.length - 1] || '';
+      }
       return '';
-    }
-    var url = 'https://' + language + '.wikipedia.org/w/api.php' +
-        '?action=query' +
-        '&list=categorymembers' +
-        '&cmlimit=max' +
-        '&cmprop=title' +
-        '&cmtype=subcat%7Cpage' +
-        '&format=xml' +
-        '&cmnamespace=' + (opt_namespaces ?
-            encodeURIComponent(opt_namespaces) : '0') +
-        '&cmtitle=' + encodeURIComponent(title.replace(/\s/g, '_'));
-    var xml = UrlFetchApp.fetch(url, HEADERS).getContentText();
-    var document = XmlService.parse(xml);
-    var entries = document.getRootElement().getChild('query')
-        .getChild('categorymembers').getChildren('cm');
-    for (var i = 0; i < entries.length; i++) {
-      var text = entries[i].getAttribute('title').getValue();
-      results[i] = text;
-    }
-  } catch (e) {
-    // no-op
+    });
   }
-  return results.length > 0 ? results : '';
+  // Files and images, including the links in their captions
+  var files = new RegExp('\\[\\[(?:file|image|datei|bild):' +
+      '[^\\[\\]]*(?:\\[\\[[^\\]]*\\]\\][^\\[\\]]*)*\\]\\]', 'gi');
+  return stripHtml_(text
+      .replace(files, '')
+      .replace(/\[\[(?:[^\]|]*\|)?([^\]]*)\]\]/g, '$1')
+      .replace(/\[(?:https?:)?\/\/\S+\s+([^\]]*)\]/g, '$1')
+      .replace(/\[(?:https?:)?\/\/[^\]\s]+\]/g, '')
+      .replace(/'{2,}/g, '')
+      .replace(/^[*#:;]+\s*/gm, ''))
+      .replace(/[ \t]+/g, ' ')
+      .replace(/\s*\n\s*/g, '\n')
+      .trim();
 }
 
 /**
- * Returns Wikipedia subcategories for a Wikipedia category.
+ * Returns the parameters of the first infobox, or of a named template, of a
+ * Wikipedia article.
  *
- * @param {string} category The Wikipedia category in the format "language:Category_Title" ("en:Category:Visitor_attractions_in_Berlin") to get subcategories for.
- * @param {string=} opt_namespaces Only include pages in these namespaces (optional).
- * @return {Array<string>} The list of subcategories.
+ * @param {string} article The Wikipedia article in the format "language:Article_Title" ("de:Berlin") to get the infobox for.
+ * @param {string=} opt_template The name of the template ("Infobox German state"), defaults to the first template whose name starts with "Infobox" (optional).
+ * @param {boolean=} opt_stripMarkup Whether to remove wiki markup like links, references, and nested templates from the values, defaults to false (optional).
+ * @return {Array<string>} The list of parameters with name and value.
  * @customfunction
  */
-function WIKISUBCATEGORIES(category, opt_namespaces) {
+function WIKIINFOBOX(article, opt_template, opt_stripMarkup) {
   'use strict';
-  if (!category) {
+  if (!article) {
     return '';
   }
   var results = [];
   try {
-    var language;
-    var title;
-    if ((category.match(/:/g) || []).length > 1) {
-      language = category.split(/:(.+)?/)[0];
-      title = category.split(/:(.+)?/)[1];
-    } else {
-      language = DEFAULT_LANGUAGE;
-      title = category;
-    }
+    var parsed = parseArticle_(article);
+    var title = parsed.title;
     if (!title) {
       return '';
     }
-    var url = 'https://' + language + '.wikipedia.org/w/api.php' +
+    var url = getApiUrl_(parsed.host) +
         '?action=query' +
-        '&list=categorymembers' +
-        '&cmlimit=max' +
-        '&cmprop=title' +
-        '&cmtype=subcat%7Cpage' +
-        '&format=xml' +
-        '&cmnamespace=' + (opt_namespaces ?
-            encodeURIComponent(opt_namespaces) : '14') +
-        '&cmtitle=' + encodeURIComponent(title.replace(/\s/g, '_'));
-    var xml = UrlFetchApp.fetch(url, HEADERS).getContentText();
-    var document = XmlService.parse(xml);
-    var entries = document.getRootElement().getChild('query')
-        .getChild('categorymembers').getChildren('cm');
-    for (var i = 0; i < entries.length; i++) {
-      var text = entries[i].getAttribute('title').getValue();
-      results[i] = text;
+        '&format=json' +
+        '&formatversion=2' +
+        '&redirects=1' +
+        '&prop=revisions' +
+        '&rvprop=content' +
+        '&rvslots=main' +
+        '&titles=' + encodeURIComponent(title.replace(/\s/g, '_'));
+    var page = fetchJson_(url).query.pages[0];
+    checkPage_(page, parsed.language + ':' + title);
+    var wikitext = page.revisions[0].slots.main.content;
+    // Template names are case-insensitive in their first letter only
+    var normalize = function(name) {
+      name = name.replace(/_/g, ' ').replace(/\s+/g, ' ').trim()
+          .replace(/^(template|vorlage):/i, '');
+      return name.charAt(0).toLowerCase() + name.substr(1);
+    };
+    var wanted = opt_template ? normalize(String(opt_template)) : '';
+    var infobox = parseTemplates_(wikitext).filter(function(template) {
+      var name = normalize(template.name);
+      return wanted ? name === wanted : /^infobox/i.test(name);
+    })[0];
+    if (!infobox) {
+      throw new WikiError_(ERRORS.MISSING, parsed.language + ':' + title +
+          ' has no ' + (opt_template || 'infobox'));
     }
+    results = infobox.params.map(function(param) {
+      return [
+        param[0],
+        opt_stripMarkup ? stripWikitext_(param[1]) : param[1]
+      ];
+    });
   } catch (e) {
-    // no-op
+    return handleError_(e);
   }
   return results.length > 0 ? results : '';
 }
 
 /**
- * Returns Wikipedia categories for a Wikipedia article.
+ * Returns the contents of a table of a Wikipedia article, with the rows and
+ * columns of merged cells repeated in each of their cells.
  *
- * @param {string} article The Wikipedia article in the format "language:Article_Title" ("en:Berlin") to get categories for.
- * @return {Array<string>} The list of categories.
+ * @param {string} article The Wikipedia article in the format "language:Article_Title" ("en:List_of_cities_in_Germany_by_population") to get the table from.
+ * @param {number=} opt_index The number of the table among the tables with the class "wikitable", defaults to 1 (optional).
+ * @param {boolean=} opt_keepLinks Whether to replace links by the linked articles in the format "language:Article_Title", defaults to false (optional).
+ * @return {Array<string>} The rows of the table, header rows included.
  * @customfunction
  */
-function WIKICATEGORIES(article) {
+function WIKITABLE(article, opt_index, opt_keepLinks) {
   'use strict';
   if (!article) {
     return '';
   }
   var results = [];
   try {
-    var language;
-    var title;
-    if (article.indexOf(':') !== -1) {
-      language = article.split(/:(.+)?/)[0];
-      title = article.split(/:(.+)?/)[1];
-    } else {
-      language = DEFAULT_LANGUAGE;
-      title = article;
-    }
+    var parsed = parseArticle_(article);
+    var title = parsed.title;
     if (!title) {
       return '';
     }
-    var url = 'https://' + language + '.wikipedia.org/w/api.php' +
-        '?action=query' +
-        '&prop=categories' +
-        '&format=xml' +
-        '&cllimit=max' +
-        '&titles=' + encodeURIComponent(title.replace(/\s/g, '_'));
-    var xml = UrlFetchApp.fetch(url, HEADERS).getContentText();
-    var document = XmlService.parse(xml);
-    var entries = document.getRootElement().getChild('query').getChild('pages')
-        .getChild('page').getChild('categories').getChildren('cl');
-    for (var i = 0; i < entries.length; i++) {
-      var text = entries[i].getAttribute('title').getValue();
-      results[i] = text;
+    var index = opt_index ? parseInt(opt_index, 10) : 1;
+    if (isNaN(index) || index < 1) {
+      throw new WikiError_(ERRORS.INPUT, opt_index);
+    }
+    var url = getApiUrl_(parsed.host) +
+        '?action=parse' +
+        '&format=json' +
+        '&formatversion=2' +
+        '&redirects=1' +
+        '&prop=text' +
+        '&disableeditsection=1' +
+        '&page=' + encodeURIComponent(title.replace(/\s/g, '_'));
+    var html = fetchJson_(url).parse.text;
+    // Find the start and the matching end of the requested table
+    var tag = /<(\/?)table\b([^>]*)>/gi;
+    var match;
+    var count = 0;
+    var depth = 0;
+    var start = -1;
+    var end = -1;
+    while (end === -1 && (match = tag.exec(html))) {
+      if (start !== -1) {
+        depth += match[1] ? -1 : 1;
+        end = depth === 0 ? match.index : -1;
+      } else if (!match[1] &&
+          /\bclass="[^"]*\bwikitable\b/i.test(match[2]) && ++count === index) {
+        start = tag.lastIndex;
+        depth = 1;
+      }
+    }
+    if (end === -1) {
+      throw new WikiError_(ERRORS.MISSING, parsed.language + ':' + title +
+          ' has no table ' + index);
+    }
+    var table = html.substring(start, end);
+    // Tables nested in cells are left out, innermost first
+    var nested = /<table\b[^>]*>(?:(?!<table\b)[\s\S])*?<\/table>/i;
+    while (nested.test(table)) {
+      table = table.replace(nested, '');
     }
+    var prefix = getSitePrefix_(parsed);
+    // Footnotes and inline maintenance tags like "[citation needed]"
+    var notes = new RegExp('<sup\\b[^>]*class="[^"]*' +
+        '\\b(?:reference|noprint|Inline-Template)\\b[\\s\\S]*?<\\/sup>', 'gi');
+    var hidden = new RegExp('<span\\b[^>]*' +
+        '(?:display:\\s*none|class="[^"]*\\bsortkey\\b)[^>]*>[^<]*<\\/span>',
+        'gi');
+    // Only links to pages of the wiki, not external links with a title
+    var links = new RegExp('<a\\b[^>]*href="' +
+        '(?:\\/wiki\\/|\\/w\\/index\\.php\\?(?:[^"]*&(?:amp;)?)?title=)' +
+        '([^"#&?]+)[^"]*"[^>]*>[\\s\\S]*?<\\/a>', 'gi');
+    var getText = function(cell) {
+      cell = cell
+          .replace(notes, '')
+          .replace(/<(style|script)\b[\s\S]*?<\/\1>/gi, '')
+          .replace(hidden, '')
+          .replace(/<br\s*\/?>/gi, '\n');
+      if (opt_keepLinks) {
+        cell = cell.replace(links, function(match, target) {
+          return prefix + ':' +
+              decodeTitle_(stripHtml_(target)).replace(/_/g, ' ');
+        });
+      }
+      var text = stripHtml_(cell).replace(/[ \t]+/g, ' ')
+          .replace(/\s*\n\s*/g, '\n').trim();
+      return /^-?\d+(\.\d+)?$/.test(text) ? parseFloat(text) : text;
+    };
+    var grid = [];
+    var row = /<tr\b[^>]*>([\s\S]*?)<\/tr>/gi;
+    var cell = /<(td|th)\b([^>]*)>([\s\S]*?)(?=<t[dh]\b|$)/gi;
+    for (var r = 0; (match = row.exec(table)); r++) {
+      grid[r] = grid[r] || [];
+      var content = match[1].replace(/<\/t[dh]>/gi, '');
+      var cellMatch;
+      var c = 0;
+      while ((cellMatch = cell.exec(content))) {
+        // Skip the columns taken by cells with a rowspan above
+        while (grid[r][c] !== undefined) {
+          c++;
+        }
+        var rowspan = parseInt((/\browspan="?(\d+)/i.exec(cellMatch[2]) ||
+            [])[1], 10) || 1;
+        var colspan = parseInt((/\bcolspan="?(\d+)/i.exec(cellMatch[2]) ||
+            [])[1], 10) || 1;
+        var text = getText(cellMatch[3]);
+        for (var i = 0; i < rowspan; i++) {
+          grid[r + i] = grid[r + i] || [];
+          for (var j = 0; j < colspan; j++) {
+            grid[r + i][c + j] = text;
+          }
+        }
+        c += colspan;
+      }
+    }
+    var width = Math.max.apply(null, grid.map(function(cells) {
+      return cells.length;
+    }).concat(0));
+    results = grid.filter(function(cells) {
+      return cells.length > 0;
+    }).map(function(cells) {
+      var filled = [];
+      for (var k = 0; k < width; k++) {
+        filled[k] = cells[k] === undefined ? '' : cells[k];
+      }
+      return filled;
+    });
   } catch (e) {
-    // no-op
+    return handleError_(e);
   }
   return results.length > 0 ? results : '';
 }
 
 /**
- * Returns Wikipedia inbound links for a Wikipedia article.
+ * Returns the Wikidata qid of the corresponding Wikidata item for a Wikipedia article.
  *
- * @param {string} article The Wikipedia article in the format "language:Article_Title" ("de:Berlin") to get inbound links for.
- * @param {string=} opt_namespaces Only include pages in these namespaces (optional).
- * @return {Array<string>} The list of inbound links.
+ * @param {string} article The article in the format "language:Query" ("de:Berlin"), or a single-column range of such articles, to get the Wikidata qid for.
+ * @return {string} The Wikidata qid, or for a range of articles one qid per article.
  * @customfunction
  */
-function WIKIINBOUNDLINKS(article, opt_namespaces) {
+function WIKIDATAQID(article) {
   'use strict';
   if (!article) {
     return '';
   }
   var results = [];
   try {
-    var language;
-    var title;
-    if (article.indexOf(':') !== -1) {
-      language = article.split(/:(.+)?/)[0];
-      title = article.split(/:(.+)?/)[1];
-    } else {
-      language = DEFAULT_LANGUAGE;
-      title = article;
+    if (Array.isArray(article)) {
+      return fetchPagesBatch_(article,
+          '&redirects=1&prop=pageprops&ppprop=wikibase_item',
+          function(page) {
+            var pageprops = page.pageprops || {};
+            return [pageprops.wikibase_item || ''];
+          });
     }
+    var parsed = parseArticle_(article);
+    var language = parsed.language;
+    var title = parsed.title;
     if (!title) {
       return '';
     }
-    var url = 'https://' + language + '.wikipedia.org/w/api.php' +
+    var url = getApiUrl_(parsed.host) +
         '?action=query' +
-        '&list=backlinks' +
-        '&bllimit=max' +
-        '&blnamespace=' + (opt_namespaces ?
-            encodeURIComponent(opt_namespaces) : '0') +
-        '&format=xml' +
-        '&bltitle=' + encodeURIComponent(title.replace(/\s/g, '_'));
-    var xml = UrlFetchApp.fetch(url, HEADERS).getContentText();
-    var document = XmlService.parse(xml);
-    var entries = document.getRootElement().getChild('query')
-        .getChild('backlinks').getChildren('bl');
-    for (var i = 0; i < entries.length; i++) {
-      var text = entries[i].getAttribute('title').getValue();
-      results[i] = text;
+        '&format=json' +
+        '&formatversion=2' +
+        '&redirects=1' +
+        '&prop=pageprops' +
+        '&ppprop=wikibase_item' +
+        '&titles=' + encodeURIComponent(title);
+    var json = fetchJson_(url);
+    var page = json.query.pages[0];
+    checkPage_(page, language + ':' + title);
+    if (page.pageprops && page.pageprops.wikibase_item) {
+      results[0] = page.pageprops.wikibase_item;
     }
   } catch (e) {
-    // no-op
+    return handleError_(e);
   }
   return results.length > 0 ? results : '';
 }
 
 /**
- * Returns Wikipedia outbound links for a Wikipedia article.
+ * Returns the Wikidata qid of the given identifier and property.
  *
- * @param {string} article The Wikipedia article in the format "language:Article_Title" ("de:Berlin") to get outbound links for.
- * @param {string=} opt_namespaces Only include pages in these namespaces (optional).
- * @return {Array<string>} The list of outbound links.
+ * Internally, this function invokes a haswbstatement query against the  Wikidata API.
+ *
+ * @param {string} property The Wikidata property (such as "P298").
+ * @param {string} identifier The identifier (value) to lookup (such as "AUT").
+ * @return {string} The Wikidata qid.
  * @customfunction
  */
-function WIKIOUTBOUNDLINKS(article, opt_namespaces) {
+function WIKIDATALOOKUP(property, identifier) {
   'use strict';
-  if (!article) {
-    return '';
-  }
   var results = [];
   try {
-    var language;
-    var title;
-    if (article.indexOf(':') !== -1) {
-      language = article.split(/:(.+)?/)[0];
-      title = article.split(/:(.+)?/)[1];
-    } else {
-      language = DEFAULT_LANGUAGE;
-      title = article;
-    }
-    if (!title) {
-      return '';
-    }
-    var url = 'https://' + language + '.wikipedia.org/w/api.php' +
+    var url = getWikibaseApiUrl_() +
         '?action=query' +
-        '&prop=links' +
-        '&plnamespace=' + (opt_namespaces ?
-            encodeURIComponent(opt_namespaces) : '0') +
-        '&format=xml' +
-        '&pllimit=max' +
-        '&titles=' + encodeURIComponent(title.replace(/\s/g, '_'));
-    var xml = UrlFetchApp.fetch(url, HEADERS).getContentText();
-    var document = XmlService.parse(xml);
-    var entries = document.getRootElement().getChild('query').getChild('pages')
-        .getChild('page').getChild('links').getChildren('pl');
-    for (var i = 0; i < entries.length; i++) {
-      var text = entries[i].getAttribute('title').getValue();
-      results[i] = text;
+        '&format=json' +
+        '&formatversion=2' +
+        '&list=search' +
+        '&ppprop=wikibase_item' +
+        '&srsearch=haswbstatement:' + property + '=' + encodeURIComponent(identifier);
+    var json = fetchJson_(url);
+    if (json.query.search.length) {
+      results[0] = json.query.search[0].title;
     }
   } catch (e) {
-    // no-op
+    return handleError_(e);
   }
   return results.length > 0 ? results : '';
 }
 
 /**
- * Returns Wikipedia mutual links, i.e, the intersection of inbound and outbound links for a Wikipedia article.
+ * Returns all Wikidata items that have all of the given property values.
  *
- * @param {string} article The Wikipedia article in the format "language:Article_Title" ("de:Berlin") to get mutual links for.
- * @param {string=} opt_namespaces Only include pages in these namespaces (optional).
- * @return {Array<string>} The list of mutual links.
- * @customfunction
- */
-function WIKIMUTUALLINKS(article, opt_namespaces) {
-  'use strict';
-  var inboundLinks = WIKIINBOUNDLINKS(article, opt_namespaces);
-  var outboundLinks = WIKIOUTBOUNDLINKS(article, opt_namespaces);
-  var mutualLinks = inboundLinks.filter(function(link) {
-    return outboundLinks.indexOf(link) > -1;
-  });
-  return mutualLinks;
-}
-
-/**
- * Returns Wikipedia geocoordinates for a Wikipedia article.
+ * Internally, this function invokes a haswbstatement query against the Wikidata API.
  *
- * @param {string} article The Wikipedia article in the format "language:Article_Title" ("de:Berlin") to get geocoordinates for.
- * @return {Array<number>} The latitude and longitude.
+ * @param {Array<string>} statements The property values in the format "property=value" ("P31=Q515"), or as pairs of property and value cells, all of which the items must have.
+ * @param {string=} opt_language The language of an additional label column, or a comma-separated list of languages to fall back through ("de,en,mul") (optional).
+ * @param {number=} opt_limit The maximum number of results, or "all" for no limit, defaults to 10000 (optional).
+ * @return {Array<string>} The list of Wikidata qids.
  * @customfunction
  */
-function WIKIGEOCOORDINATES(article) {
+function WIKIDATALOOKUPALL(statements, opt_language, opt_limit) {
   'use strict';
-  if (!article) {
+  if (!statements) {
     return '';
   }
   var results = [];
   try {
-    var language;
-    var title;
-    if (article.indexOf(':') !== -1) {
-      language = article.split(/:(.+)?/)[0];
-      title = article.split(/:(.+)?/)[1];
-    } else {
-      language = DEFAULT_LANGUAGE;
-      title = article;
-    }
-    if (!title) {
+    var rows = Array.isArray(statements) ? statements : [[statements]];
+    var filters = [];
+    rows.forEach(function(row) {
+      row = Array.isArray(row) ? row : [row];
+      for (var i = 0; i < row.length; i++) {
+        var cell = String(row[i]).trim();
+        if (!cell) {
+          continue;
+        }
+        // A property cell takes its value from the next cell
+        if (/^P\d+$/.test(cell) && i + 1 < row.length) {
+          cell += '=' + String(row[++i]).trim();
+        }
+        if (!/^P\d+=\S/.test(cell)) {
+          throw new WikiError_(ERRORS.INPUT, cell);
+        }
+        filters.push('haswbstatement:' +
+            (/[\s"]/.test(cell) ? '"' + cell.replace(/"/g, '\\"') + '"' :
+            cell));
+      }
+    });
+    if (!filters.length) {
       return '';
     }
-    var url = 'https://' + language + '.wikipedia.org/w/api.php' +
+    var url = getWikibaseApiUrl_() +
         '?action=query' +
-        '&prop=coordinates' +
-        '&format=xml' +
-        '&colimit=max' +
-        '&coprimary=primary' +
-        '&titles=' + encodeURIComponent(title.replace(/\s/g, '_'));
-    var xml = UrlFetchApp.fetch(url, HEADERS).getContentText();
-    var document = XmlService.parse(xml);
-    var coordinates = document.getRootElement().getChild('query')
-        .getChild('pages').getChild('page').getChild('coordinates')
-        .getChild('co');
-    var latitude = coordinates.getAttribute('lat').getValue();
-    var longitude = coordinates.getAttribute('lon').getValue();
-    results = [[latitude, longitude]];
+        '&format=json' +
+        '&formatversion=2' +
+        '&list=search' +
+        '&srprop=' + // Empty on purpose
+        '&srlimit=max' +
+        '&srsearch=' + encodeURIComponent(filters.join(' '));
+    var qids = fetchAllPages_(url, function(json) {
+      return json.query.search;
+    }, opt_limit).map(function(result) {
+      // Strip the namespace of Wikibase installs with prefixed item titles
+      return result.title.replace(/^.*:/, '');
+    });
+    if (opt_language) {
+      var labels = fetchLabels_(qids, parseLanguages_(opt_language));
+      results = qids.map(function(qid) {
+        return [qid, labels[qid] || ''];
+      });
+    } else {
+      results = qids;
+    }
   } catch (e) {
-    // no-op
+    return handleError_(e);
   }
   return results.length > 0 ? results : '';
 }
 
 /**
- * Returns Wikipedia articles that have a link that matches a given link pattern.
+ * Searches for Wikidata entities using Wikidata labels and aliases.
  *
- * @param {string} linkPattern The link pattern to search for in the format "language:example.com" or "language:*.example.com".
- * @param {string=} opt_protocol Protocol of the link, defaults to "http" (optional).
- * @param {string=} opt_namespaces Only include pages in these namespaces (optional).
- * @return {Array<string>} The list of articles that match the link pattern and the concrete link.
+ * @param {string} search The search string in the format "language:Query" ("de:Berlin") to get the Wikidata qid for.
+ * @return {string} The Wikidata qid.
  * @customfunction
  */
-function WIKILINKSEARCH(linkPattern, opt_protocol, opt_namespaces) {
+function WIKIDATASEARCH(search) {
   'use strict';
-  if (!linkPattern) {
+  if (!search) {
     return '';
   }
   var results = [];
   try {
-    var language;
-    var title;
-    if (linkPattern.indexOf(':') !== -1) {
-      language = linkPattern.split(/:(.+)?/)[0];
-      title = linkPattern.split(/:(.+)?/)[1];
-    } else {
-      language = DEFAULT_LANGUAGE;
-      title = linkPattern;
-    }
-    if (!title) {
+    var parsed = parseSitePrefix_(search);
+    var wbslanguage = parsed.language;
+    var wbssearch = parsed.text;
+    if (!wbssearch) {
       return '';
     }
-    var url = 'https://' + language + '.wikipedia.org/w/api.php' +
+    var url = getWikibaseApiUrl_() +
         '?action=query' +
-        '&format=xml' +
-        '&list=exturlusage' +
-        '&eulimit=max' +
-        '&euprop=title%7Curl' +
-        '&euprotocol=' + (opt_protocol ? opt_protocol : 'http') +
-        '&euquery=' + encodeURIComponent(title) +
-        '&eunamespace=' + (opt_namespaces ?
-            encodeURIComponent(opt_namespaces) : '0');
-    var xml = UrlFetchApp.fetch(url, HEADERS).getContentText();
-    var document = XmlService.parse(xml);
-    var entries = document.getRootElement().getChild('query')
-        .getChild('exturlusage').getChildren('eu');
-    for (var i = 0; i < entries.length; i++) {
-      var title = entries[i].getAttribute('title').getValue();
-      var url = entries[i].getAttribute('url').getValue();
-      results[i] = [title, url];
+        '&list=wbsearch' +
+        '&wbslanguage=' + wbslanguage +
+        '&format=json' +
+        '&wbssearch=' + encodeURIComponent(wbssearch);
+    var json = fetchJson_(url);
+    if (json.query.wbsearch.length) {
+      results[0] = json.query.wbsearch[0].title;
     }
   } catch (e) {
-    // no-op
+    return handleError_(e);
   }
   return results.length > 0 ? results : '';
 }
 
 /**
- * Returns Wikidata facts for a Wikipedia article.
+ * Returns the labels for a Wikidata item.
  *
- * @param {string} article The Wikipedia article in the format "language:Article_Title" ("de:Berlin") or the Wikidata entity in the format "qid" ("Q42") to get Wikidata facts for.
- * @param {string=} opt_multiObjectMode Whether to return all object values (pass "all") or just the first (pass "first") when there are more than one object values (optional).
- * @param {Array<string>} opt_properties Limit the resulting facts to a list of properties (optional).
- * @return {Array<string>} The list of Wikidata facts.
+ * @param {string} qid The Wikidata item's qid to get the labels for.
+ * @param {Array<string>=} opt_targetLanguages The list of languages to limit the results to, or "all" (optional).
+ * @return {Array<string>} The labels.
  * @customfunction
  */
-function WIKIDATAFACTS(article, opt_multiObjectMode, opt_properties) {
+function WIKIDATALABELS(qid, opt_targetLanguages) {
   'use strict';
-
-  var simplifyClaims = function(claims) {
-    var simpleClaims = {};
-    for (var id in claims) {
-      var claim = claims[id];
-      simpleClaims[id] = simpifyClaim(claim);
-    }
-    return simpleClaims;
-  };
-
-  var simpifyClaim = function(claim) {
-    var simplifiedClaim = [];
-    var len = claim.length;
-    for (var i = 0; i < len; i++) {
-      var statement = claim[i];
-      var simpifiedStatement = simpifyStatement(statement);
-      if (simpifiedStatement !== null) {
-        simplifiedClaim.push(simpifiedStatement);
-      }
-    }
-    return simplifiedClaim;
-  };
-
-  var simpifyStatement = function(statement) {
-    var mainsnak = statement.mainsnak;
-    if (mainsnak === null) {
-      return null;
-    }
-    var datatype = mainsnak.datatype;
-    var datavalue = mainsnak.datavalue;
-    if (datavalue === null || datavalue === undefined) {
-      return null;
-    }
-    switch (datatype) {
-      case 'string':
-      case 'commonsMedia':
-      case 'url':
-      case 'math':
-      case 'external-id':
-        return datavalue.value;
-      case 'monolingualtext':
-        return datavalue.value.text;
-      case 'wikibase-item':
-        var qid = 'Q' + datavalue.value['numeric-id'];
-        qids.push(qid);
-        return qid;
-      case 'time':
-        return datavalue.value.time;
-      case 'quantity':
-        return datavalue.value.amount;
-      default:
-        return null;
-    }
-  };
-
-  var getPropertyAndEntityLabels = function(propertiesAndEntities) {
-    var labels = {};
-    try {
-      var size = 50;
-      var j = propertiesAndEntities.length;
-      for (var i = 0; i < j; i += size) {
-        var chunk = propertiesAndEntities.slice(i, i + size);
-        var url = 'https://www.wikidata.org/w/api.php' +
-            '?action=wbgetentities' +
-            '&languages=en' +
-            '&format=json' +
-            '&props=labels' +
-            '&ids=' + chunk.join('%7C');
-        var json = JSON.parse(UrlFetchApp.fetch(url, HEADERS).getContentText());
-        var entities = json.entities;
-        chunk.forEach(function(item) {
-          if ((entities[item]) &&
-              (entities[item].labels) &&
-              (entities[item].labels.en) &&
-              (entities[item].labels.en.value)) {
-            labels[item] = entities[item].labels.en.value;
-          } else {
-            labels[item] = false;
-          }
-        });
-      }
-    } catch (e) {
-      // no-op
-    }
-    return labels;
-  };
-
-  if (!article) {
+  if (!qid) {
     return '';
   }
-  opt_properties = opt_properties || [];
-  opt_properties = Array.isArray(opt_properties) ?
-      opt_properties : [opt_properties];
-  var temp = {};
-  opt_properties.forEach(function(prop) {
-    temp[prop] = true;
-  });
-  opt_properties = Object.keys(temp);
   var results = [];
   try {
-    var language;
-    var title;
-    if (article.indexOf(':') !== -1) {
-      language = article.split(/:(.+)?/)[0];
-      title = article.split(/:(.+)?/)[1];
-    } else {
-      language = DEFAULT_LANGUAGE;
-      title = article;
-    }
-    if (!title) {
-      return '';
-    }
-    var url;
-    if (/^Q\d+$/.test(title)) {
-      url = 'https://www.wikidata.org/w/api.php' +
-          '?action=wbgetentities' +
-          '&format=json' +
-          '&props=claims' +
-          '&ids=' + title;
-    } else {
-      url = 'https://wikidata.org/w/api.php' +
-          '?action=wbgetentities' +
-          '&sites=' + language + 'wiki' +
-          '&format=json' +
-          '&props=claims' +
-          '&titles=' + encodeURIComponent(title.replace(/\s/g, '_'));
-    }
-    var json = JSON.parse(UrlFetchApp.fetch(url, HEADERS).getContentText());
-    var entity = Object.keys(json.entities)[0];
-    var qids = [];
-    var simplifiedClaims = simplifyClaims(json.entities[entity].claims);
-    var properties = Object.keys(simplifiedClaims);
-    if (opt_properties.length) {
-      properties = properties.filter(function(property) {
-        return opt_properties.indexOf(property) !== -1;
-      });
+    opt_targetLanguages = opt_targetLanguages || [];
+    opt_targetLanguages = Array.isArray(opt_targetLanguages) ?
+        opt_targetLanguages : [opt_targetLanguages];
+    if (opt_targetLanguages.length === 0) {
+      opt_targetLanguages = [DEFAULT_LANGUAGE];
     }
-    var labels = getPropertyAndEntityLabels(properties.concat(qids));
-    for (var claim in simplifiedClaims) {
-      var claims = simplifiedClaims[claim].filter(function(value) {
-        return value !== null;
-      });
-      // Only return single-object facts
-      if (claims.length === 1) {
-        var label = labels[claim];
-        var value = /^Q\d+$/.test(claims[0]) ? labels[claims[0]] : claims[0];
-        if (label && value) {
-          results.push([label, value]);
-        }
-      }
-      // Optionally return multi-object facts
-      if ((
-            (/^first$/i.test(opt_multiObjectMode)) ||
-            (/^all$/i.test(opt_multiObjectMode))
-          ) && (claims.length > 1)) {
-        var label = labels[claim];
-        claims.forEach(function(claimObject, i) {
-          if (i > 0 && /^first$/i.test(opt_multiObjectMode)) {
-            return;
-          }
-          var value = /^Q\d+$/.test(claimObject) ?
-              labels[claimObject] : claimObject;
-          if (label && value) {
-            results.push([label, value]);
-          }
-        });
-      }
+    if (opt_targetLanguages.length === 1 && opt_targetLanguages[0] === 'all') {
+      opt_targetLanguages = [];
     }
+    var url = getWikibaseApiUrl_() +
+        '?format=json' +
+        '&action=wbgetentities' +
+        '&props=labels' +
+        '&ids=' + qid +
+        (opt_targetLanguages.length ?
+            '&languages=' + opt_targetLanguages.join('%7C') : '');
+    var json = fetchJson_(url);
+    var labels = json.entities[qid].labels;
+    var availableLanguages = Object.keys(labels).sort();
+    availableLanguages.forEach(function(language) {
+      var label = labels[language].value;
+      results.push([language, label]);
+    });
   } catch (e) {
-    // no-op
+    return handleError_(e);
   }
   return results.length > 0 ? results : '';
 }
 
 /**
- * Returns the Wikipedia site links for a given Wikidata item.
+ * Returns the descriptions for a Wikidata item.
  *
- * @param {string} qid The Wikidata item QID to get the Wikipedia site links for.
- * @param {Array<string>=} opt_sitefilter The list of Wikipedia sites to limit the results to (optional).
- * @return {Array<string>} The list of site links.
+ * @param {string} qid The Wikidata item's qid to get the label for.
+ * @param {Array<string>=} opt_targetLanguages The list of languages to limit the results to, or "all" (optional).
+ * @return {Array<string>} The label.
  * @customfunction
  */
-function WIKIDATASITELINKS(qid, opt_sitefilter) {
+function WIKIDATADESCRIPTIONS(qid, opt_targetLanguages) {
   'use strict';
   if (!qid) {
     return '';
   }
   var results = [];
   try {
-    opt_sitefilter = opt_sitefilter || [];
-    opt_sitefilter = Array.isArray(opt_sitefilter) ? opt_sitefilter : [opt_sitefilter];
-    var sitefilterQuery = opt_sitefilter.length ? '&sitefilter=' + opt_sitefilter.map(site => site + 'wiki').join('%7C') : '';
-    var url = 'https://www.wikidata.org/w/api.php' +
+    opt_targetLanguages = opt_targetLanguages || [];
+    opt_targetLanguages = Array.isArray(opt_targetLanguages) ?
+        opt_targetLanguages : [opt_targetLanguages];
+    if (opt_targetLanguages.length === 0) {
+      opt_targetLanguages = [DEFAULT_LANGUAGE];
+    }
+    if (opt_targetLanguages.length === 1 && opt_targetLanguages[0] === 'all') {
+      opt_targetLanguages = [];
+    }
+    var url = getWikibaseApiUrl_() +
         '?format=json' +
         '&action=wbgetentities' +
-        '&props=sitelinks' +
+        '&props=descriptions' +
         '&ids=' + qid +
-        sitefilterQuery;
-    var json = JSON.parse(UrlFetchApp.fetch(url, HEADERS).getContentText());
-    var sitelinks = json.entities[qid].sitelinks;
-    var availableSites = Object.keys(sitelinks).sort();
-    availableSites.forEach(function(site) {
-      var link = sitelinks[site].title;
-      results.push([site.replace(/wiki$/, ''), link]);
+        (opt_targetLanguages.length ?
+            '&languages=' + opt_targetLanguages.join('%7C') : '');
+    var json = fetchJson_(url);
+    var descriptions = json.entities[qid].descriptions;
+    var availableLanguages = Object.keys(descriptions).sort();
+    availableLanguages.forEach(function(language) {
+      var description = descriptions[language].value;
+      results.push([language, description]);
     });
   } catch (e) {
-    // no-op
+    return handleError_(e);
   }
   return results.length > 0 ? results : '';
 }
 
 /**
- * Returns Wikipedia pageviews statistics for a Wikipedia article.
+ * Returns the output of the Quarry (https://meta.wikimedia.org/wiki/Research:Quarry) query with the specified query ID.
  *
- * @param {string} article The Wikipedia article in the format "language:Article_Title" ("de:Berlin") to get pageviews statistics for.
- * @param {string=} opt_start The start date in the format "YYYYMMDD" ("20070608") since when pageviews statistics should be retrieved from (optional).
- * @param {string=} opt_end The end date in the format "YYYYMMDD" ("20070608") until when pageviews statistics should be retrieved to (optional).
- * @param {boolean=} opt_sumOnly Whether to only return the sum of all pageviews in the requested period (optional).
- * @return {Array<number>} The list of pageviews between start and end per day.
+ * @param {number} queryId The query ID of the Quarry query to run.
+ * @return {Array<string>} The list of query results, the first line represents the header.
  * @customfunction
  */
-function WIKIPAGEVIEWS(article, opt_start, opt_end, opt_sumOnly) {
+function WIKIQUARRY(queryId) {
   'use strict';
-
-  var getIsoDate = function(date) {
-    var date = new Date(date);
-    var year = date.getFullYear().toString();
-    var month = (date.getMonth() + 1) < 10 ?
-        '0' + (date.getMonth() + 1) :
-        (date.getMonth() + 1).toString();
-    var day = date.getDate() < 10 ?
-        '0' + date.getDate() :
-        date.getDate().toString();
-    return year + month + day;
-  };
-
-  if (!article) {
+  if (!queryId) {
     return '';
   }
   var results = [];
-  var sum = 0;
   try {
-    var language;
-    var title;
-    if (article.indexOf(':') !== -1) {
-      language = article.split(/:(.+)?/)[0];
-      title = article.split(/:(.+)?/)[1];
-    } else {
-      language = DEFAULT_LANGUAGE;
-      title = article;
-    }
-    if (!title) {
-      return '';
-    }
-    opt_start = opt_start || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-    if (typeof opt_start === 'object') {
-      opt_start = getIsoDate(opt_start);
-    }
-    opt_end = opt_end || new Date(Date.now() - 1 * 24 * 60 * 60 * 1000);
-    if (typeof opt_end === 'object') {
-      opt_end = getIsoDate(opt_end);
-    }
-    var url = 'https://wikimedia.org/api/rest_v1/metrics/pageviews/' +
-        'per-article' +
-        '/' + language + '.wikipedia' +
-        '/all-access' +
-        '/user' +
-        '/' +  encodeURIComponent(title.replace(/\s/g, '_')) +
-        '/daily' +
-        '/' + opt_start +
-        '/' + opt_end;
-    var json = JSON.parse(UrlFetchApp.fetch(url, HEADERS).getContentText());
-    json.items.forEach(function(item) {
-      if (opt_sumOnly) {
-        sum += item.views;
-      } else {
-        var timestamp = item.timestamp.replace(/^(\d{4})(\d{2})(\d{2})(\d{2})$/,
-            '$1-$2-$3-$4').split('-');
-        timestamp = new Date(Date.UTC(
-            parseInt(timestamp[0], 10), // Year
-            parseInt(timestamp[1], 10) - 1, // Month
-            parseInt(timestamp[2], 10), // Day
-            parseInt(timestamp[3], 10), // Hour
-            0, // Minute
-            0)); // Second))
-        results.push([
-          timestamp,
-          item.views
-        ]);
-      }
-    });
+    var url = 'https://quarry.wmflabs.org/query/' + queryId +
+        '/result/latest/0/json';
+    var json = fetchJson_(url);
+    results[0] = json.headers;
+    results = results.concat(json.rows);
   } catch (e) {
-    // no-op
-  }
-  if (opt_sumOnly) {
-    return [sum];
-  } else {
-    results.reverse(); // Order from new to old
-    return results.length > 0 ? results : '';
+    return handleError_(e);
   }
+  return results.length > 0 ? results : '';
 }
 
 /**
- * Returns pageviews statistics for individual pages.
+ * Converts a value of the SPARQL JSON results format: entity URIs become IDs
+ * ("Q42"), numeric, boolean, and date literals become numbers, booleans, and
+ * dates, and WKT points become "latitude, longitude" pairs. Dates at midnight
+ * denote days, so they become dates of that day in the time zone of the
+ * spreadsheet.
  *
- * @param {string} project The Wikimedia project to get pageviews statistics for.
- * @param {string} article The Wikipedia article in the format "language:Article_Title" ("de:Berlin") to get pageviews statistics for.
- * @param {string=} opt_access The access method, defaults to "all-access" (optional).
- * @param {string=} opt_agent The agent, defaults to "all-agents" (optional).
- * @param {string=} opt_granularity The granularity, defaults to "daily" (optional).
- * @param {string=} opt_start The start date in the format "YYYYMMDD" ("20070608") since when pageviews statistics should be retrieved from (optional).
- * @param {string=} opt_end The end date in the format "YYYYMMDD" ("20070608") until when pageviews statistics should be retrieved to (optional).
- * @param {boolean=} opt_sumOnly Whether to only return the sum of all pageviews in the requested period (optional).
- * @return {Array<number>} The list of pageviews between start and end.
- * @customfunction
+ * @param {Object} binding The bound value with `type`, `value`, and optional `datatype`.
+ * @param {string} timeZone The time zone of the spreadsheet.
+ * @return {(string|number|boolean|Date)} The converted value.
  */
-function WIKIPAGEVIEWSPERARTICLE(project, article, opt_access,
-    opt_agent, opt_granularity, opt_start, opt_end, opt_sumOnly) {
+function parseSparqlValue_(binding, timeZone) {
   'use strict';
-
-  var getIsoDate = function(date) {
-    var date = new Date(date);
-    var year = date.getFullYear().toString();
-    var month = (date.getMonth() + 1) < 10 ?
-        '0' + (date.getMonth() + 1) :
-        (date.getMonth() + 1).toString();
-    var day = date.getDate() < 10 ?
-        '0' + date.getDate() :
-        date.getDate().toString();
-    return year + month + day;
-  };
-
-  if (!project) {
-    return '';
-  }
-  if (!article) {
-    return '';
-  }
-  var results = [];
-  var sum = 0;
-  try {
-    opt_start = opt_start || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-    if (typeof opt_start === 'object') {
-      opt_start = getIsoDate(opt_start);
-    }
-    opt_end = opt_end || new Date(Date.now() - 1 * 24 * 60 * 60 * 1000);
-    if (typeof opt_end === 'object') {
-      opt_end = getIsoDate(opt_end);
-    }
-    var url = 'https://wikimedia.org/api/rest_v1/metrics/pageviews/' +
-        'per-article' +
-        '/' + project +
-        '/' + (opt_access ? opt_access : 'all-access') +
-        '/' + (opt_agent ? opt_agent : 'all-agents') +
-        '/' + encodeURIComponent(article.replace(/\s/g, '_')) +
-        '/' + (opt_granularity ? opt_granularity : 'daily') +
-        '/' + opt_start +
-        '/' + opt_end;
-    var json = JSON.parse(UrlFetchApp.fetch(url, HEADERS).getContentText());
-    json.items.forEach(function(item) {
-      if (opt_sumOnly) {
-        sum += item.views;
-      } else {
-        var timestamp = item.timestamp.replace(/^(\d{4})(\d{2})(\d{2})(\d{2})$/,
-            '$1-$2-$3-$4').split('-');
-        timestamp = new Date(Date.UTC(
-            parseInt(timestamp[0], 10), // Year
-            parseInt(timestamp[1], 10) - 1, // Month
-            parseInt(timestamp[2], 10), // Day
-            parseInt(timestamp[3], 10), // Hour
-            0, // Minute
-            0)); // Second))
-        results.push([
-          timestamp,
-          item.views
-        ]);
-      }
-    });
-  } catch (e) {
-    // no-op
+  var value = binding.value;
+  if (binding.type === 'uri') {
+    var entity = /\/entity\/([A-Z]\d+(?:-[A-Z]\d+)?)$/.exec(value);
+    return entity ? entity[1] : value;
   }
-  if (opt_sumOnly) {
-    return [sum];
-  } else {
-    results.reverse(); // Order from new to old
-    return results.length > 0 ? results : '';
+  var datatype = /^http:\/\/www\.w3\.org\/2001\/XMLSchema#(\w+)$/.exec(
+      binding.datatype) || [];
+  if (XSD_NUMBERS.indexOf(datatype[1]) !== -1) {
+    return Number(value);
   }
-}
-
-/**
- * Returns aggregated pageviews statistics for a project.
- *
- * @param {string} project The Wikimedia project to get pageviews statistics for.
- * @param {string=} opt_access The access method, defaults to "all-access" (optional).
- * @param {string=} opt_agent The agent, defaults to "all-agents" (optional).
- * @param {string=} opt_granularity The granularity, defaults to "daily" (optional).
- * @param {string=} opt_start The start date in the format "YYYYMMDDHH" ("2007060800") since when pageviews statistics should be retrieved from (optional).
- * @param {string=} opt_end The end date in the format "YYYYMMDDHH" ("2007060800") until when pageviews statistics should be retrieved to (optional).
- * @return {Array<number>} The list of aggregated pageviews between start and end.
- * @customfunction
- */
-function WIKIPAGEVIEWSAGGREGATE(project, opt_access, opt_agent, opt_granularity,
-    opt_start, opt_end) {
-  'use strict';
-
-  var getIsoDateWithHour = function(date) {
-    var date = new Date(date);
-    var year = date.getFullYear().toString();
-    var month = (date.getMonth() + 1) < 10 ?
-        '0' + (date.getMonth() + 1) :
-        (date.getMonth() + 1).toString();
-    var day = date.getDate() < 10 ?
-        '0' + date.getDate() :
-        date.getDate().toString();
-    return year + month + day + '00';
-  };
-
-  if (!project) {
-    return '';
+  if (datatype[1] === 'boolean') {
+    return value === 'true' || value === '1';
   }
-  var results = [];
-  try {
-    opt_start = opt_start || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-    if (typeof opt_start === 'object') {
-      opt_start = getIsoDateWithHour(opt_start);
+  if (datatype[1] === 'dateTime' || datatype[1] === 'date') {
+    var date = /^(-?)(\d+)-(\d\d)-(\d\d)(?:T(\d\d):(\d\d):(\d\d))?/.exec(value);
+    if (date) {
+      // Years are astronomical like in XSD 1.1, so 1 BCE is the year 0
+      var year = parseInt(date[1] + date[2], 10);
+      var time = [date[5] || 0, date[6] || 0, date[7] || 0].map(Number);
+      if (time.join() === '0,0,0') {
+        return getZonedDate_(year, Number(date[3]), Number(date[4]), time,
+            timeZone);
+      }
+      var result = new Date(Date.UTC(2000, date[3] - 1, date[4], time[0],
+          time[1], time[2]));
+      result.setUTCFullYear(year);
+      return result;
     }
-    opt_end = opt_end || new Date(Date.now() - 1 * 24 * 60 * 60 * 1000);
-    if (typeof opt_end === 'object') {
-      opt_end = getIsoDateWithHour(opt_end);
+  }
+  if (/#wktLiteral$/.test(binding.datatype)) {
+    // Points are "Point(longitude latitude)", optionally after a globe URI
+    var point = /^(?:<[^>]*>\s*)?Point\(([-\d.eE]+) ([-\d.eE]+)\)$/i.exec(
+        value.trim());
+    if (point) {
+      return point[2] + ', ' + point[1];
     }
-    var url = 'https://wikimedia.org/api/rest_v1/metrics/pageviews/' +
-        'aggregate' +
-        '/' + project +
-        '/' + (opt_access ? opt_access : 'all-access') +
-        '/' + (opt_agent ? opt_agent : 'all-agents') +
-        '/' + (opt_granularity ? opt_granularity : 'daily') +
-        '/' + opt_start +
-        '/' + opt_end;
-    var json = JSON.parse(UrlFetchApp.fetch(url, HEADERS).getContentText());
-    json.items.forEach(function(item) {
-      var timestamp = item.timestamp.replace(/^(\d{4})(\d{2})(\d{2})(\d{2})$/,
-          '$1-$2-$3-$4').split('-');
-      timestamp = new Date(Date.UTC(
-          parseInt(timestamp[0], 10), // Year
-          parseInt(timestamp[1], 10) - 1, // Month
-          parseInt(timestamp[2], 10), // Day
-          parseInt(timestamp[3], 10), // Hour
-          0, // Minute
-          0)); // Second))
-      results.push([
-        timestamp,
-        item.views
-      ]);
-    });
-  } catch (e) {
-    // no-op
   }
-  results.reverse(); // Order from new to old
-  return results.length > 0 ? results : '';
+  return value;
 }
 
 /**
- * Returns most viewed pages for a project.
+ * Returns the results of a SPARQL query against the Wikidata Query Service (https://query.wikidata.org/).
  *
- * @param {string} project The Wikimedia project to get pageviews statistics for.
- * @param {string=} opt_access The access method, defaults to "all-access" (optional).
- * @param {string=} opt_date The date in the format "YYYYMMDD" ("20070608") for which pageviews statistics should be retrieved (optional).
- * @return {Array<number>} The list of the most viewed pages.
+ * @param {string} query The SPARQL query to run.
+ * @param {string=} opt_endpoint The URL of the SPARQL endpoint to query instead of the Wikidata Query Service (optional).
+ * @return {Array<string>} The list of query results, the first line represents the header.
  * @customfunction
  */
-function WIKIPAGEVIEWSTOP(project, opt_access, opt_date) {
+function WIKIDATASPARQL(query, opt_endpoint) {
   'use strict';
-
-  var getIsoDate = function(date) {
-    var date = new Date(date);
-    var year = date.getFullYear().toString();
-    var month = (date.getMonth() + 1) < 10 ?
-        '0' + (date.getMonth() + 1) :
-        (date.getMonth() + 1).toString();
-    var day = date.getDate() < 10 ?
-        '0' + date.getDate() :
-        date.getDate().toString();
-    return year + month + day;
-  };
-
-  if (!project) {
+  if (!query) {
     return '';
   }
   var results = [];
-  var sum = 0;
   try {
-    opt_date = opt_date || new Date(Date.now() - 1 * 24 * 60 * 60 * 1000);
-    if (typeof opt_date === 'object') {
-      opt_date = getIsoDate(opt_date);
+    var endpoint = opt_endpoint || getSettings_().sparqlEndpointUrl ||
+        WIKIDATA_SPARQL_URL;
+    if (!/^https?:\/\/\S+$/.test(endpoint)) {
+      throw new WikiError_(ERRORS.INPUT, 'Invalid endpoint ' + endpoint);
     }
-    var year = opt_date.substr(0, 4);
-    var month = opt_date.substring(4, 6);
-    var day = opt_date.substring(6, 8);
-    var url = 'https://wikimedia.org/api/rest_v1/metrics/pageviews/' +
-        'top' +
-        '/' + project +
-        '/' + (opt_access ? opt_access : 'all-access') +
-        '/' + year +
-        '/' + month +
-        '/' + day;
-    var json = JSON.parse(UrlFetchApp.fetch(url, HEADERS).getContentText());
-    json.items[0].articles.forEach(function(article) {
-      results.push([
-        article.article.replace(/_/g, ' '),
-        article.views
-      ]);
+    var url = endpoint + (endpoint.indexOf('?') === -1 ? '?' : '&') +
+        'format=json';
+    // Queries are sent as POST bodies, long queries do not fit into URLs
+    var payload = 'query=' + encodeURIComponent(query);
+    // Endpoints other than Wikidata's may ignore the format parameter
+    var json = fetchJson_(url, payload,
+        {Accept: 'application/sparql-results+json'});
+    if (!json.head || !json.results) {
+      removeCached_(getRequestKey_(url, payload));
+      throw new WikiError_(ERRORS.PARSE, 'Unexpected SPARQL response');
+    }
+    var vars = json.head.vars;
+    var timeZone = getTimeZone_();
+    results[0] = vars;
+    json.results.bindings.forEach(function(bindings) {
+      results.push(vars.map(function(name) {
+        return bindings[name] ? parseSparqlValue_(bindings[name], timeZone) :
+            '';
+      }));
     });
   } catch (e) {
-    // no-op
+    return handleError_(e);
   }
   return results.length > 0 ? results : '';
 }
 
 /**
- * Returns the number of unique devices for a project.
+ * Returns Google Suggest results for the given keyword.
  *
- * @param {string} project The Wikimedia project to get pageviews statistics for.
- * @param {string=} opt_accessSite The accesses sites, defaults to "all-sites" (optional).
- * @param {string=} opt_granularity The granularity, defaults to "daily" (optional).
- * @param {string=} opt_start The start date in the format "YYYYMMDD" ("20070608") since when pageviews statistics should be retrieved from (optional).
- * @param {string=} opt_end The end date in the format "YYYYMMDD" ("20070608") until when pageviews statistics should be retrieved to (optional).
- * @return {Array<number>} The list of unique devices between start and end.
+ * @param {string} query The query in the format "language:Query" ("de:Berlin") to get suggestions for.
+ * @return {Array<string>} The list of suggestions.
  * @customfunction
  */
-function WIKIUNIQUEDEVICES(project, opt_accessSite, opt_granularity, opt_start,
-    opt_end) {
+function GOOGLESUGGEST(query) {
   'use strict';
-
-  var getIsoDate = function(date) {
-    var date = new Date(date);
-    var year = date.getFullYear().toString();
-    var month = (date.getMonth() + 1) < 10 ?
-        '0' + (date.getMonth() + 1) :
-        (date.getMonth() + 1).toString();
-    var day = date.getDate() < 10 ?
-        '0' + date.getDate() :
-        date.getDate().toString();
-    return year + month + day;
-  };
-
-  if (!project) {
+  if (!query) {
     return '';
   }
   var results = [];
-  var sum = 0;
   try {
-    opt_start = opt_start || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-    if (typeof opt_start === 'object') {
-      opt_start = getIsoDate(opt_start);
+    var parsed = parseSitePrefix_(query);
+    var language = parsed.language;
+    var title = parsed.text;
+    if (!title) {
+      return '';
     }
-    opt_end = opt_end || new Date(Date.now() - 1 * 24 * 60 * 60 * 1000);
-    if (typeof opt_end === 'object') {
-      opt_end = getIsoDate(opt_end);
+    var url = 'https://suggestqueries.google.com/complete/search' +
+        '?output=toolbar' +
+        '&hl=' + language +
+        '&q=' + encodeURIComponent(title);
+    var document = fetchXml_(url);
+    var entries = document.getRootElement().getChildren('CompleteSuggestion');
+    for (var i = 0; i < entries.length; i++) {
+      var text = entries[i].getChild('suggestion').getAttribute('data')
+          .getValue();
+      results[i] = text;
     }
-    var url = 'https://wikimedia.org/api/rest_v1/metrics/unique-devices' +
-        '/' + project +
-        '/' + (opt_accessSite ? opt_accessSite : 'all-sites') +
-        '/' + (opt_granularity ? opt_granularity : 'daily') +
-        '/' + opt_start +
-        '/' + opt_end;
-    var json = JSON.parse(UrlFetchApp.fetch(url, HEADERS).getContentText());
-    json.items.forEach(function(item) {
-      var timestamp = item.timestamp.replace(/^(\d{4})(\d{2})(\d{2})$/,
-          '$1-$2-$3').split('-');
-      timestamp = new Date(Date.UTC(
-          parseInt(timestamp[0], 10), // Year
-          parseInt(timestamp[1], 10) - 1, // Month
-          parseInt(timestamp[2], 10), // Day
-          0, // Hour
-          0, // Minute
-          0)); // Second))
-      results.push([
-        timestamp,
-        item.devices
-      ]);
-    });
   } catch (e) {
-    // no-op
+    return handleError_(e);
   }
   return results.length > 0 ? results : '';
 }
 
 /**
- * Returns Wikipedia pageedits statistics for a Wikipedia article.
+ * Calls the Wikibase API with a POST request authorized by an OAuth 2 access
+ * token. Responses are not cached, so edits are based on the current claims.
  *
- * @param {string} article The Wikipedia article in the format "language:Article_Title" ("de:Berlin") to get pageedits statistics for.
- * @param {string=} opt_start The start date in the format "YYYYMMDD" ("2007-06-08") since when pageedits statistics should be retrieved from (optional).
- * @param {string=} opt_end The end date in the format "YYYYMMDD" ("2007-06-08") until when pageedits statistics should be retrieved to (optional).
- * @return {Array<number>} The list of pageedits between start and end and their deltas.
- * @customfunction
+ * @param {Object<string, string>} params The API parameters.
+ * @param {string} token The OAuth 2 access token.
+ * @return {Object} The parsed JSON response.
  */
-function WIKIPAGEEDITS(article, opt_start, opt_end) {
+function postWikibase_(params, token) {
   'use strict';
+  params.format = 'json';
+  var headers = {Authorization: 'Bearer ' + token};
+  for (var header in HEADERS.headers) {
+    headers[header] = HEADERS.headers[header];
+  }
+  var response;
+  try {
+    response = UrlFetchApp.fetch(getWikibaseApiUrl_(), {
+      method: 'post',
+      payload: params,
+      headers: headers,
+      muteHttpExceptions: true
+    });
+  } catch (e) {
+    throw getFetchError_(e);
+  }
+  var text = getResponseText_(response);
+  var json;
+  try {
+    json = JSON.parse(text);
+  } catch (e) {
+    throw new WikiError_(ERRORS.PARSE, e.message);
+  }
+  if (json.error) {
+    throw getApiError_(json.error.code, json.error.info);
+  }
+  return json;
+}
 
-  var getIsoDate = function(date, time) {
-    var date = new Date(date);
-    var year = date.getFullYear();
-    var month = (date.getMonth() + 1) < 10 ?
-        '0' + (date.getMonth() + 1) :
-        (date.getMonth() + 1).toString();
-    var day = date.getDate() < 10 ?
-        '0' + date.getDate() :
-        date.getDate().toString();
-    return year + '-' + month + '-' + day + time;
-  };
+/**
+ * Converts a cell value into a Wikibase data value of the given datatype.
+ * Items and properties are IDs ("Q64"), monolingual texts "language:Text",
+ * quantities an amount with an optional unit item ("891.85 Q712226"), times
+ * dates or "YYYY", "YYYY-MM", or "YYYY-MM-DD" strings, and coordinates
+ * "latitude, longitude" pairs.
+ *
+ * @param {*} value The cell value.
+ * @param {string} datatype The datatype of the property.
+ * @param {string} timeZone The time zone of the spreadsheet.
+ * @return {Object} The data value with `type` and `value`.
+ */
+function toDatavalue_(value, datatype, timeZone) {
+  'use strict';
+  var text = value instanceof Date ?
+      Utilities.formatDate(value, timeZone, 'yyyy-MM-dd') :
+      String(value).trim();
+  var match;
+  if (!text) {
+    throw new WikiError_(ERRORS.INPUT, 'Empty value');
+  }
+  switch (datatype) {
+    case 'string':
+    case 'commonsMedia':
+    case 'url':
+    case 'math':
+    case 'external-id':
+    case 'geo-shape':
+    case 'tabular-data':
+    case 'musical-notation':
+      return {type: 'string', value: text};
+    case 'wikibase-item':
+    case 'wikibase-property':
+      var prefix = datatype === 'wikibase-item' ? 'Q' : 'P';
+      if (!new RegExp('^' + prefix + '\\d+$').test(text)) {
+        break;
+      }
+      return {type: 'wikibase-entityid', value: {
+        'entity-type': datatype === 'wikibase-item' ? 'item' : 'property',
+        'numeric-id': parseInt(text.substr(1), 10),
+        id: text
+      }};
+    case 'monolingualtext':
+      match = /^([a-z][a-z0-9-]*):(.+)$/i.exec(text);
+      if (!match) {
+        break;
+      }
+      return {type: 'monolingualtext', value: {
+        language: match[1].toLowerCase(),
+        text: match[2].trim()
+      }};
+    case 'quantity':
+      match = /^([+-]?\d+(?:\.\d+)?)(?:\s+(Q\d+))?$/.exec(text);
+      if (!match) {
+        break;
+      }
+      return {type: 'quantity', value: {
+        amount: (/^[+-]/.test(match[1]) ? '' : '+') + match[1],
+        unit: match[2] ? WIKIDATA_ENTITY_URI + match[2] : '1'
+      }};
+    case 'time':
+      match = /^(-?)(\d{1,11})(?:-(\d\d)(?:-(\d\d))?)?$/.exec(text);
+      if (!match) {
+        break;
+      }
+      var year = ('000' + match[2]).substr(-Math.max(4, match[2].length));
+      return {type: 'time', value: {
+        time: (match[1] || '+') + year + '-' + (match[3] || '00') + '-' +
+            (match[4] || '00') + 'T00:00:00Z',
+        timezone: 0,
+        before: 0,
+        after: 0,
+        precision: match[4] ? 11 : match[3] ? 10 : 9,
+        calendarmodel: GREGORIAN_CALENDAR
+      }};
+    case 'globe-coordinate':
+      match = /^(-?\d+(?:\.(\d+))?)\s*,\s*(-?\d+(?:\.(\d+))?)$/.exec(text);
+      if (!match) {
+        break;
+      }
+      var decimals = Math.max((match[2] || '').length,
+          (match[4] || '').length);
+      return {type: 'globecoordinate', value: {
+        latitude: parseFloat(match[1]),
+        longitude: parseFloat(match[3]),
+        altitude: null,
+        precision: Math.pow(10, -decimals),
+        globe: WIKIDATA_ENTITY_URI + 'Q2'
+      }};
+    default:
+      throw new WikiError_(ERRORS.INPUT, 'Unsupported datatype ' + datatype);
+  }
+  throw new WikiError_(ERRORS.INPUT, 'Not a ' + datatype + ' value: ' + text);
+}
 
-  if (!article) {
-    return '';
+/**
+ * Returns a string that is equal for equal Wikibase data values.
+ *
+ * @param {Object} datavalue The data value with `type` and `value`.
+ * @return {string} The comparison key.
+ */
+function getDatavalueKey_(datavalue) {
+  'use strict';
+  var value = datavalue.value;
+  switch (datavalue.type) {
+    case 'wikibase-entityid':
+      return value.id || (value['entity-type'] === 'property' ? 'P' : 'Q') +
+          value['numeric-id'];
+    case 'monolingualtext':
+      return value.language + ':' + value.text;
+    case 'quantity':
+      return Number(value.amount) + (value.unit === '1' ? '' :
+          ' ' + value.unit.replace(WIKIDATA_ENTITY_URI, ''));
+    case 'time':
+      return value.time + '/' + value.precision;
+    case 'globecoordinate':
+      return value.latitude + ',' + value.longitude;
+    default:
+      return String(value);
   }
-  var results = [];
-  try {
-    var language;
-    var title;
-    if (article.indexOf(':') !== -1) {
-      language = article.split(/:(.+)?/)[0];
-      title = article.split(/:(.+)?/)[1];
-    } else {
-      language = DEFAULT_LANGUAGE;
-      title = article;
-    }
-    if (!title) {
-      return '';
+}
+
+/**
+ * Parses "property=value" pairs separated by semicolons, like
+ * "P580=2001; P582=2005".
+ *
+ * @param {*} text The cell value.
+ * @return {Array<{property: string, value: string}>} The property values.
+ */
+function parsePropertyValues_(text) {
+  'use strict';
+  return String(text || '').split(';').map(function(pair) {
+    return pair.trim();
+  }).filter(Boolean).map(function(pair) {
+    var match = /^(P\d+)\s*=\s*(.+)$/.exec(pair);
+    if (!match) {
+      throw new WikiError_(ERRORS.INPUT, pair);
     }
-    opt_start = opt_start || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-    if (typeof opt_start === 'object') {
-      opt_start = getIsoDate(opt_start, 'T00:00:00');
+    return {property: match[1], value: match[2]};
+  });
+}
+
+/**
+ * Validates rows of QID, property, value, and optional qualifiers and
+ * references against the current claims, and returns the needed edits.
+ *
+ * @param {Array<Array<*>>} rows The rows of the selected range.
+ * @param {string} token The OAuth 2 access token.
+ * @param {string} timeZone The time zone of the spreadsheet.
+ * @return {{edits: Array<Object>, statuses: Array<string>}} The edits with their row index, API parameters including the edit summary, and description, and the status of each row.
+ */
+function planWikidataEdits_(rows, token, timeZone) {
+  'use strict';
+  var statuses = rows.map(function() {
+    return '';
+  });
+  var edits = [];
+  var qids = [];
+  var properties = [];
+  var inputs = [];
+  rows.forEach(function(row, i) {
+    var qid = String(row[0]).trim();
+    if (!qid) {
+      return;
     }
-    opt_end = opt_end || new Date();
-    if (typeof opt_end === 'object') {
-      opt_end = getIsoDate(opt_end, 'T23:59:59');
+    // A header row is not an error
+    if (i === 0 && !/^Q\d+$/.test(qid)) {
+      statuses[i] = 'Status';
+      return;
     }
-    var url = 'https://' + language + '.wikipedia.org/w/api.php' +
-        '?action=query' +
-        '&prop=revisions' +
-        '&rvprop=size%7Ctimestamp' +
-        '&rvlimit=max' +
-        '&format=xml' +
-        '&rvstart=' + opt_end + // Reversed on purpose due to confusing API name
-        '&rvend=' + opt_start + // Reversed on purpose due to confusing API name
-        '&titles=' + encodeURIComponent(title.replace(/\s/g, '_'));
-    var xml = UrlFetchApp.fetch(url, HEADERS).getContentText();
-    var document = XmlService.parse(xml);
-    var entries = document.getRootElement().getChild('query').getChild('pages')
-        .getChild('page').getChild('revisions').getChildren('rev');
-    for (var i = 0; i < entries.length - 1 /* - 1 for the delta */; i++) {
-      var timestamp = entries[i].getAttribute('timestamp').getValue().replace(
-          /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})Z$/,
-          '$1-$2-$3-$4-$5-$6').split('-');
-      timestamp = new Date(Date.UTC(
-          parseInt(timestamp[0], 10), // Year
-          parseInt(timestamp[1], 10) - 1, // Month
-          parseInt(timestamp[2], 10), // Day
-          parseInt(timestamp[3], 10), // Hour
-          parseInt(timestamp[4], 10), // Minute
-          parseInt(timestamp[5], 10))); // Second
-      var delta = entries[i].getAttribute('size').getValue() -
-          entries[i + 1].getAttribute('size').getValue();
-      results.push([
-        timestamp,
-        delta
-      ]);
+    try {
+      var property = String(row[1]).trim();
+      if (!/^Q\d+$/.test(qid) || !/^P\d+$/.test(property)) {
+        throw new WikiError_(ERRORS.INPUT, qid + ' ' + property);
+      }
+      var input = {
+        index: i,
+        qid: qid,
+        property: property,
+        value: row[2],
+        qualifiers: parsePropertyValues_(row[3]),
+        reference: parsePropertyValues_(row[4])
+      };
+      [input].concat(input.qualifiers, input.reference).forEach(function(pair) {
+        properties.push(pair.property);
+      });
+      qids.push(qid);
+      inputs.push(input);
+    } catch (e) {
+      statuses[i] = e.message;
     }
-  } catch (e) {
-    // no-op
+  });
+  if (!inputs.length) {
+    return {edits: edits, statuses: statuses};
   }
-  return results.length > 0 ? results : '';
+
+  var datatypes = {};
+  var entities = {};
+  var fetchEntities = function(ids, props, target) {
+    ids = ids.filter(function(id, i) {
+      return ids.indexOf(id) === i;
+    });
+    for (var i = 0; i < ids.length; i += MAX_TITLES) {
+      var json = postWikibase_({
+        action: 'wbgetentities',
+        props: props,
+        ids: ids.slice(i, i + MAX_TITLES).join('|')
+      }, token);
+      for (var id in json.entities) {
+        target[id] = json.entities[id];
+      }
+    }
+  };
+  fetchEntities(properties, 'datatype', datatypes);
+  fetchEntities(qids, 'claims', entities);
+
+  var toSnak = function(pair) {
+    var datatype = datatypes[pair.property];
+    if (!datatype || datatype.missing !== undefined) {
+      throw new WikiError_(ERRORS.MISSING, pair.property);
+    }
+    return {
+      snaktype: 'value',
+      property: pair.property,
+      datavalue: toDatavalue_(pair.value, datatype.datatype, timeZone)
+    };
+  };
+  var getSnakKey = function(snak) {
+    return snak.property + '=' + (snak.datavalue ?
+        getDatavalueKey_(snak.datavalue) : snak.snaktype);
+  };
+  var planned = {};
+  inputs.forEach(function(input) {
+    try {
+      var entity = entities[input.qid];
+      if (!entity || entity.missing !== undefined) {
+        throw new WikiError_(ERRORS.MISSING, input.qid);
+      }
+      var mainsnak = toSnak(input);
+      var qualifiers = input.qualifiers.map(toSnak);
+      var referenceSnaks = input.reference.map(toSnak);
+      var key = input.qid + ' ' + getSnakKey(mainsnak);
+      if (planned[key]) {
+        statuses[input.index] = 'Duplicate';
+        return;
+      }
+      planned[key] = true;
+      var existing = ((entity.claims || {})[input.property] || [])
+          .filter(function(statement) {
+            return getSnakKey(statement.mainsnak) === getSnakKey(mainsnak);
+          })[0];
+      var statement = existing || {
+        id: input.qid + '$' + Utilities.getUuid(),
+        type: 'statement',
+        rank: 'normal',
+        mainsnak: mainsnak
+      };
+      // Only add the qualifiers and the reference that are not there yet
+      var qualifierKeys = [];
+      for (var property in statement.qualifiers) {
+        statement.qualifiers[property].forEach(function(snak) {
+          qualifierKeys.push(getSnakKey(snak));
+        });
+      }
+      var newQualifiers = qualifiers.filter(function(snak) {
+        return qualifierKeys.indexOf(getSnakKey(snak)) === -1;
+      });
+      var hasReference = !referenceSnaks.length ||
+          (statement.references || []).some(function(reference) {
+            var referenceKeys = [];
+            for (var property in reference.snaks) {
+              reference.snaks[property].forEach(function(snak) {
+                referenceKeys.push(getSnakKey(snak));
+              });
+            }
+            return referenceSnaks.every(function(snak) {
+              return referenceKeys.indexOf(getSnakKey(snak)) !== -1;
+            });
+          });
+      if (existing && !newQualifiers.length && hasReference) {
+        statuses[input.index] = 'Unchanged';
+        return;
+      }
+      newQualifiers.forEach(function(snak) {
+        statement.qualifiers = statement.qualifiers || {};
+        statement.qualifiers[snak.property] =
+            (statement.qualifiers[snak.property] || []).concat(snak);
+        statement['qualifiers-order'] = Object.keys(statement.qualifiers);
+      });
+      if (!hasReference) {
+        var reference = {snaks: {}, 'snaks-order': []};
+        referenceSnaks.forEach(function(snak) {
+          if (!reference.snaks[snak.property]) {
+            reference.snaks[snak.property] = [];
+            reference['snaks-order'].push(snak.property);
+          }
+          reference.snaks[snak.property].push(snak);
+        });
+        statement.references = (statement.references || []).concat(reference);
+      }
+      var description = (existing ? 'Update ' : 'Create ') + input.qid +
+          ' ' + input.property + ' = ' + getDatavalueKey_(mainsnak.datavalue) +
+          (newQualifiers.length ?
+              ', +' + newQualifiers.length + ' qualifier(s)' : '') +
+          (hasReference ? '' : ', +1 reference');
+      var params = existing || newQualifiers.length || !hasReference ? {
+        action: 'wbsetclaim',
+        claim: JSON.stringify(statement)
+      } : {
+        action: 'wbcreateclaim',
+        entity: input.qid,
+        property: input.property,
+        snaktype: 'value',
+        value: JSON.stringify(mainsnak.datavalue.value)
+      };
+      params.summary = (existing ? 'Updated' : 'Added') +
+          ' from Google Sheets with Wikipedia Tools';
+      edits.push({
+        index: input.index,
+        params: params,
+        description: description
+      });
+    } catch (e) {
+      statuses[input.index] = e.message;
+    }
+  });
+  return {edits: edits, statuses: statuses};
 }
 
 /**
- * Returns Wikipedia article results for a query.
+ * Asks for the OAuth 2 access token used for edits and stores it in the user
+ * properties. Create the token with an owner-only OAuth 2 consumer on
+ * https://meta.wikimedia.org/wiki/Special:OAuthConsumerRegistration/propose/oauth2
+ * with the "Edit existing pages" grant.
  *
- * @param {string} query The query in the format "language:Query" ("de:Berlin") to get search results for.
- * @param {boolean=} opt_didYouMean Whether to return a "did you mean" suggestion, defaults to false (optional).
- * @param {string=} opt_namespaces Only include pages in these namespaces (optional).
- * @return {Array<string>} The list of article results.
- * @customfunction
+ * @return {?string} The access token, or null if the dialog was cancelled.
  */
-function WIKISEARCH(query, opt_didYouMean, opt_namespaces) {
+function setWikidataAccessToken_() {
   'use strict';
-  if (!query) {
-    return '';
+  var ui = SpreadsheetApp.getUi();
+  var response = ui.prompt('Wikidata access token',
+      'Paste the access token of your owner-only OAuth 2 consumer. ' +
+      'Leave empty to remove the stored token.', ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    return null;
   }
-  var results = [];
+  var token = response.getResponseText().trim();
+  var properties = PropertiesService.getUserProperties();
+  if (token) {
+    properties.setProperty('wikidataAccessToken', token);
+  } else {
+    properties.deleteProperty('wikidataAccessToken');
+  }
+  return token || null;
+}
+
+/**
+ * Pushes the selected rows of QID, property, value, and optional qualifiers
+ * and references as statements to Wikidata, after showing a preview of the
+ * edits. The status of each row is written to the column after the selection.
+ */
+function pushToWikidata_() {
+  'use strict';
+  var title = 'Push to Wikidata';
+  var ui = SpreadsheetApp.getUi();
+  var spreadsheet = SpreadsheetApp.getActive();
+  var range = spreadsheet.getActiveRange();
+  if (!range || range.getNumColumns() < 3) {
+    ui.alert(title, 'Select the columns QID, property, value, and ' +
+        'optionally qualifiers ("P580=2001; P582=2005") and references ' +
+        '("P854=https://example.org/").', ui.ButtonSet.OK);
+    return;
+  }
+  var statusRange = range.getSheet().getRange(range.getRow(),
+      range.getLastColumn() + 1, range.getNumRows(), 1);
+  // The statuses must not overwrite data next to the selection
+  var isStatusColumnEmpty = statusRange.getValues().every(function(row) {
+    return row[0] === '';
+  });
+  if (!isStatusColumnEmpty) {
+    ui.alert(title, 'The status of each row is written to the column after ' +
+        'the selection, clear it or insert an empty column first.',
+        ui.ButtonSet.OK);
+    return;
+  }
+  var token = PropertiesService.getUserProperties()
+      .getProperty('wikidataAccessToken') || setWikidataAccessToken_();
+  if (!token) {
+    return;
+  }
+  var rows = range.getValues();
+  var plan;
   try {
-    var language;
-    var title;
-    if (query.indexOf(':') !== -1) {
-      language = query.split(/:(.+)?/)[0];
-      title = query.split(/:(.+)?/)[1];
-    } else {
-      language = DEFAULT_LANGUAGE;
-      title = query;
-    }
-    if (!title) {
-      return '';
-    }
-    var url = 'https://' + language + '.wikipedia.org/w/api.php' +
-        '?action=query' +
-        '&format=json' +
-        '&list=search' +
-        '&srinfo=suggestion' +
-        '&srprop=' + // Empty on purpose
-        '&srlimit=max' +
-        '&srsearch=' + encodeURIComponent(title) +
-        '&srnamespace=' + (opt_namespaces ?
-            encodeURIComponent(opt_namespaces) : '0');
-    var json = JSON.parse(UrlFetchApp.fetch(url, HEADERS).getContentText());
-    json.query.search.forEach(function(result, i) {
-      result = result.title;
-      if (opt_didYouMean) {
-        if (i === 0) {
-          results[i] = [
-            result,
-            json.query.searchinfo ? json.query.searchinfo.suggestion : title
-          ];
-        } else {
-          results[i] = [result, ''];
-        }
-      } else {
-        results[i] = result;
+    plan = planWikidataEdits_(rows, token,
+        spreadsheet.getSpreadsheetTimeZone());
+  } catch (e) {
+    ui.alert(title, e.message, ui.ButtonSet.OK);
+    return;
+  }
+  var statuses = plan.statuses;
+  var edits = plan.edits;
+  var writeStatuses = function() {
+    statusRange.setValues(statuses.map(function(status) {
+      return [status];
+    }));
+  };
+  if (!edits.length) {
+    writeStatuses();
+    ui.alert(title, 'There is nothing to edit.', ui.ButtonSet.OK);
+    return;
+  }
+  var preview = edits.slice(0, 20).map(function(edit) {
+    return 'Row ' + (range.getRow() + edit.index) + ': ' + edit.description;
+  });
+  if (edits.length > 20) {
+    preview.push('… and ' + (edits.length - 20) + ' more');
+  }
+  var confirmed = ui.alert(title, preview.join('\n') + '\n\nSubmit ' +
+      edits.length + ' edit(s)?', ui.ButtonSet.OK_CANCEL) === ui.Button.OK;
+  edits.forEach(function(edit) {
+    statuses[edit.index] = 'Not submitted';
+  });
+  if (confirmed) {
+    var csrfToken;
+    try {
+      csrfToken = postWikibase_({
+        action: 'query',
+        meta: 'tokens'
+      }, token).query.tokens.csrftoken;
+    } catch (e) {
+      ui.alert(title, e.message, ui.ButtonSet.OK);
+      writeStatuses();
+      return;
+    }
+    edits.forEach(function(edit) {
+      edit.params.token = csrfToken;
+      try {
+        var json = postWikibase_(edit.params, token);
+        statuses[edit.index] = (edit.params.action === 'wbcreateclaim' ?
+            'Created ' : 'Saved ') + json.claim.id;
+      } catch (e) {
+        statuses[edit.index] = e.message;
       }
     });
-  } catch (e) {
-    // no-op
   }
-  return results.length > 0 ? results : '';
+  writeStatuses();
 }
 
 /**
- * Returns the Wikidata qid of the corresponding Wikidata item for a Wikipedia article.
+ * Returns the watchlist properties key of a spreadsheet.
  *
- * @param {string} article The article in the format "language:Query" ("de:Berlin") to get the Wikidata qid for.
- * @return {string} The Wikidata qid.
- * @customfunction
+ * @param {string} spreadsheetId The ID of the spreadsheet.
+ * @return {string} The key of the user property.
  */
-function WIKIDATAQID(article) {
+function getWatchlistKey_(spreadsheetId) {
   'use strict';
-  if (!article) {
-    return '';
+  return 'watchlist:' + spreadsheetId;
+}
+
+/**
+ * Deletes the watchlist trigger of a spreadsheet, if there is one.
+ *
+ * @param {string} spreadsheetId The ID of the spreadsheet.
+ */
+function deleteWatchlistTrigger_(spreadsheetId) {
+  'use strict';
+  var properties = PropertiesService.getUserProperties();
+  var watchlist = JSON.parse(properties.getProperty(
+      getWatchlistKey_(spreadsheetId)) || 'null');
+  if (!watchlist) {
+    return;
   }
-  var results = [];
-  try {
-    var language;
-    var title;
-    if (article.indexOf(':') !== -1) {
-      language = article.split(/:(.+)?/)[0];
-      title = article.split(/:(.+)?/)[1];
-    } else {
-      language = DEFAULT_LANGUAGE;
-      title = article;
-    }
-    if (!title) {
-      return '';
-    }
-    var url = 'https://' + language + '.wikipedia.org/w/api.php' +
-        '?action=query' +
-        '&format=json' +
-        '&formatversion=2' +
-        '&redirects=1' +
-        '&prop=pageprops' +
-        '&ppprop=wikibase_item' +
-        '&titles=' + encodeURIComponent(title);
-    var json = JSON.parse(UrlFetchApp.fetch(url, HEADERS).getContentText());
-    if (json.query.pages[0] && json.query.pages[0].pageprops.wikibase_item) {
-      results[0] = json.query.pages[0].pageprops.wikibase_item;
+  ScriptApp.getProjectTriggers().forEach(function(trigger) {
+    if (trigger.getUniqueId() === watchlist.triggerId) {
+      ScriptApp.deleteTrigger(trigger);
     }
-  } catch (e) {
-    // no-op
-  }
-  return results.length > 0 ? results : '';
+  });
+  properties.deleteProperty(getWatchlistKey_(spreadsheetId));
 }
 
 /**
- * Returns the Wikidata qid of the given identifier and property.
- *
- * Internally, this function invokes a haswbstatement query against the  Wikidata API.
- *
- * @param {string} property The Wikidata property (such as "P298").
- * @param {string} identifier The identifier (value) to lookup (such as "AUT").
- * @return {string} The Wikidata qid.
- * @customfunction
+ * Watches the articles of the selected range: once a day, the latest
+ * revisions of the articles are checked, and the articles that changed are
+ * written to the "Changes" sheet and optionally sent by email.
  */
-function WIKIDATALOOKUP(property, identifier) {
+function watchArticles_() {
   'use strict';
-  var results = [];
-  try {
-    var url = 'https://www.wikidata.org/w/api.php' +
-        '?action=query' +
-        '&format=json' +
-        '&formatversion=2' +
-        '&list=search' +
-        '&ppprop=wikibase_item' +
-        '&srsearch=haswbstatement:' + property + '=' + encodeURIComponent(identifier);
-    var json = JSON.parse(UrlFetchApp.fetch(url, HEADERS).getContentText());
-    results[0] = json.query.search[0].title;
-  } catch (e) {
-    // no-op
+  var title = 'Watch articles';
+  var ui = SpreadsheetApp.getUi();
+  var spreadsheet = SpreadsheetApp.getActive();
+  var range = spreadsheet.getActiveRange();
+  // Changes are reported with the article of their row
+  if (!range || range.getNumColumns() > 1) {
+    ui.alert(title, 'Select the articles to watch in a single column.',
+        ui.ButtonSet.OK);
+    return;
   }
-  return results.length > 0 ? results : '';
+  var response = ui.prompt(title, 'Enter an email address to be notified ' +
+      'of changes, or leave empty to only write them to the "' +
+      CHANGES_SHEET_NAME + '" sheet.', ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+  var email = response.getResponseText().trim();
+  if (email && !/^[^\s@]+@[^\s@]+$/.test(email)) {
+    ui.alert(title, 'Invalid email address: ' + email, ui.ButtonSet.OK);
+    return;
+  }
+  var spreadsheetId = spreadsheet.getId();
+  deleteWatchlistTrigger_(spreadsheetId);
+  // Add-ons may run time-driven triggers at most once per hour
+  var trigger = ScriptApp.newTrigger('checkWatchlist')
+      .timeBased()
+      .everyDays(1)
+      .create();
+  PropertiesService.getUserProperties().setProperty(
+      getWatchlistKey_(spreadsheetId), JSON.stringify({
+        triggerId: trigger.getUniqueId(),
+        spreadsheetId: spreadsheetId,
+        sheetId: range.getSheet().getSheetId(),
+        range: range.getA1Notation(),
+        email: email,
+        since: new Date().toISOString()
+      }));
+  ui.alert(title, 'The articles in ' + range.getA1Notation() + ' are ' +
+      'checked for changes once a day.', ui.ButtonSet.OK);
 }
 
 /**
- * Searches for Wikidata entities using Wikidata labels and aliases.
+ * Stops watching the articles of the current spreadsheet.
+ */
+function unwatchArticles_() {
+  'use strict';
+  deleteWatchlistTrigger_(SpreadsheetApp.getActive().getId());
+  SpreadsheetApp.getActive().toast('The articles are no longer watched.');
+}
+
+/**
+ * Checks the watched articles of one watchlist for changes since the last
+ * check, writes them to the "Changes" sheet, and sends them by email.
+ * Watchlists whose sheet was deleted are removed.
  *
- * @param {string} search The search string in the format "language:Query" ("de:Berlin") to get the Wikidata qid for.
- * @return {string} The Wikidata qid.
- * @customfunction
+ * @param {Object} watchlist The watchlist as stored by `watchArticles_`.
+ * @return {boolean} Whether the watchlist still exists.
  */
-function WIKIDATASEARCH(search) {
+function checkWatchlistChanges_(watchlist) {
   'use strict';
-  if (!search) {
-    return '';
+  var now = new Date();
+  var since = new Date(watchlist.since);
+  var spreadsheet = SpreadsheetApp.openById(watchlist.spreadsheetId);
+  // Sheets are found by ID, so renaming the sheet does not break the watchlist
+  var source = spreadsheet.getSheets().filter(function(sheet) {
+    return sheet.getSheetId() === watchlist.sheetId;
+  })[0];
+  if (!source) {
+    deleteWatchlistTrigger_(watchlist.spreadsheetId);
+    if (watchlist.email) {
+      MailApp.sendEmail({
+        to: watchlist.email,
+        subject: 'Watched articles in ' + spreadsheet.getName() +
+            ' are no longer checked',
+        body: 'The sheet with the watched articles was deleted, so the ' +
+            'daily check was removed.\n\n' + spreadsheet.getUrl()
+      });
+    }
+    return false;
   }
-  var results = [];
+  var articles = source.getRange(watchlist.range).getValues();
+  var changes = [];
+  // Cached revisions could be older than the last check, and edits made
+  // in between would never be reported
+  skipCacheReads_ = true;
+  var revisions;
   try {
-    var wbslanguage;
-    var wbssearch;
-    if (search.indexOf(':') !== -1) {
-      wbslanguage = search.split(/:(.+)?/)[0];
-      wbssearch = search.split(/:(.+)?/)[1];
-    } else {
-      wbslanguage = DEFAULT_LANGUAGE;
-      wbssearch = search;
+    revisions = fetchLatestRevisions_(articles);
+  } finally {
+    skipCacheReads_ = false;
+  }
+  revisions.forEach(function(row, i) {
+    // Rows of errors and empty cells have no timestamp
+    if (row[0] instanceof Date && row[0] > since) {
+      changes.push([now, String(articles[i][0]).trim()].concat(row));
     }
-    if (!wbssearch) {
-      return '';
+  });
+  if (changes.length) {
+    var sheet = spreadsheet.getSheetByName(CHANGES_SHEET_NAME);
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(CHANGES_SHEET_NAME);
+      sheet.appendRow(['Checked', 'Article', 'Timestamp', 'Editor',
+          'Summary', 'Diff']);
     }
-    var url = 'https://www.wikidata.org/w/api.php' +
-        '?action=query' +
-        '&list=wbsearch' +
-        '&wbslanguage=' + wbslanguage +
-        '&format=json' +
-        '&wbssearch=' + encodeURIComponent(wbssearch);
-    var json = JSON.parse(UrlFetchApp.fetch(url, HEADERS).getContentText());
-    results[0] = json.query.wbsearch[0].title;
-  } catch (e) {
-    // no-op
+    sheet.getRange(sheet.getLastRow() + 1, 1, changes.length,
+        changes[0].length).setValues(changes);
   }
-  return results.length > 0 ? results : '';
+  if (changes.length && watchlist.email) {
+    MailApp.sendEmail({
+      to: watchlist.email,
+      subject: changes.length + ' watched article(s) changed in ' +
+          spreadsheet.getName(),
+      body: changes.map(function(change) {
+        return change[1] + ': ' + change[3] +
+            (change[4] ? ' (' + change[4] + ')' : '') + '\n' + change[5];
+      }).join('\n\n') + '\n\n' + spreadsheet.getUrl()
+    });
+  }
+  watchlist.since = now.toISOString();
+  return true;
 }
 
 /**
- * Returns the labels for a Wikidata item.
+ * Checks the watched articles for changes since the last check. Called by the
+ * time-driven trigger that `watchArticles_` creates.
  *
- * @param {string} qid The Wikidata item's qid to get the labels for.
- * @param {Array<string>=} opt_targetLanguages The list of languages to limit the results to, or "all" (optional).
- * @return {Array<string>} The labels.
- * @customfunction
+ * @param {Object=} opt_event The trigger event (optional).
  */
-function WIKIDATALABELS(qid, opt_targetLanguages) {
+function checkWatchlist(opt_event) {
   'use strict';
-  if (!qid) {
-    return '';
-  }
-  var results = [];
-  try {
-    opt_targetLanguages = opt_targetLanguages || [];
-    opt_targetLanguages = Array.isArray(opt_targetLanguages) ?
-        opt_targetLanguages : [opt_targetLanguages];
-    if (opt_targetLanguages.length === 0) {
-      opt_targetLanguages = [DEFAULT_LANGUAGE];
+  var properties = PropertiesService.getUserProperties();
+  var all = properties.getProperties();
+  Object.keys(all).filter(function(key) {
+    return /^watchlist:/.test(key);
+  }).forEach(function(key) {
+    var watchlist = JSON.parse(all[key]);
+    if (opt_event && opt_event.triggerUid &&
+        String(opt_event.triggerUid) !== String(watchlist.triggerId)) {
+      return;
     }
-    if (opt_targetLanguages.length === 1 && opt_targetLanguages[0] === 'all') {
-      opt_targetLanguages = [];
+    // One failing watchlist must not keep the others from being checked
+    try {
+      if (checkWatchlistChanges_(watchlist)) {
+        properties.setProperty(key, JSON.stringify(watchlist));
+      }
+    } catch (e) {
+      Logger.log('Checking the watchlist ' + key + ' failed: ' + e.message);
     }
-    var url = 'https://www.wikidata.org/w/api.php' +
-        '?format=json' +
-        '&action=wbgetentities' +
-        '&props=labels' +
-        '&ids=' + qid +
-        (opt_targetLanguages.length ?
-            '&languages=' + opt_targetLanguages.join('%7C') : '');
-    var json = JSON.parse(UrlFetchApp.fetch(url, HEADERS).getContentText());
-    var labels = json.entities[qid].labels;
-    var availableLanguages = Object.keys(labels).sort();
-    availableLanguages.forEach(function(language) {
-      var label = labels[language].value;
-      results.push([language, label]);
-    });
-  } catch (e) {
-    // no-op
-  }
-  return results.length > 0 ? results : '';
+  });
 }
 
 /**
- * Returns the descriptions for a Wikidata item.
+ * Crawls the links of a wiki breadth-first from a seed article. All outbound
+ * links of each article are fetched, inbound links only as many as could still
+ * add articles to the graph, as each link between two articles of the graph is
+ * also an outbound link. The outbound links of the farthest articles are
+ * fetched, too, so the graph has all links between its articles.
  *
- * @param {string} qid The Wikidata item's qid to get the label for.
- * @param {Array<string>=} opt_targetLanguages The list of languages to limit the results to, or "all" (optional).
- * @return {Array<string>} The label.
- * @customfunction
+ * @param {Object} parsed The parsed seed article as returned by parseArticle_.
+ * @param {number} maxDepth The number of links between the seed article and the farthest articles.
+ * @param {number} maxNodes The maximum number of articles.
+ * @return {{nodes: Object<string, {depth: number, inbound: Object, outbound: Object}>, titles: Array<string>, edges: Array<Array<string>>}} The articles by title, their titles in the order of discovery, and the links as source and target.
  */
-function WIKIDATADESCRIPTIONS(qid, opt_targetLanguages) {
+function crawlLinkGraph_(parsed, maxDepth, maxNodes) {
   'use strict';
-  if (!qid) {
-    return '';
-  }
-  var results = [];
-  try {
-    opt_targetLanguages = opt_targetLanguages || [];
-    opt_targetLanguages = Array.isArray(opt_targetLanguages) ?
-        opt_targetLanguages : [opt_targetLanguages];
-    if (opt_targetLanguages.length === 0) {
-      opt_targetLanguages = [DEFAULT_LANGUAGE];
+  var apiUrl = getApiUrl_(parsed.host) +
+      '?action=query' +
+      '&format=json' +
+      '&formatversion=2';
+  var seed = fetchJson_(apiUrl + '&redirects=1&titles=' +
+      encodeURIComponent(parsed.title.replace(/\s/g, '_'))).query.pages[0];
+  checkPage_(seed, parsed.language + ':' + parsed.title);
+  var graph = {nodes: {}, titles: [], edges: []};
+  var addNode = function(title, depth) {
+    if (!graph.nodes[title] && graph.titles.length < maxNodes) {
+      graph.nodes[title] = {depth: depth, inbound: {}, outbound: {}};
+      graph.titles.push(title);
+      return true;
     }
-    if (opt_targetLanguages.length === 1 && opt_targetLanguages[0] === 'all') {
-      opt_targetLanguages = [];
+    return false;
+  };
+  var addEdge = function(source, target) {
+    var node = graph.nodes[source];
+    if (node && graph.nodes[target] && source !== target &&
+        !node.outbound[target]) {
+      node.outbound[target] = true;
+      graph.nodes[target].inbound[source] = true;
+      graph.edges.push([source, target]);
     }
-    var url = 'https://www.wikidata.org/w/api.php' +
-        '?format=json' +
-        '&action=wbgetentities' +
-        '&props=descriptions' +
-        '&ids=' + qid +
-        (opt_targetLanguages.length ?
-            '&languages=' + opt_targetLanguages.join('%7C') : '');
-    var json = JSON.parse(UrlFetchApp.fetch(url, HEADERS).getContentText());
-    var descriptions = json.entities[qid].descriptions;
-    var availableLanguages = Object.keys(descriptions).sort();
-    availableLanguages.forEach(function(language) {
-      var description = descriptions[language].value;
-      results.push([language, description]);
+  };
+  var getLinksUrl = function(title) {
+    return apiUrl + '&prop=links&plnamespace=0&pllimit=max&titles=' +
+        encodeURIComponent(title.replace(/\s/g, '_'));
+  };
+  var getBacklinksUrl = function(title) {
+    return apiUrl + '&list=backlinks&blnamespace=0&bllimit=max&bltitle=' +
+        encodeURIComponent(title.replace(/\s/g, '_'));
+  };
+  var getLinks = function(json) {
+    return json.query.pages[0].links || [];
+  };
+  var getBacklinks = function(json) {
+    return json.query.backlinks;
+  };
+  // The first page of each article's links is fetched in parallel, the
+  // remaining pages of articles with more links one after another
+  var fetchLinks = function(urls, getEntries, limit) {
+    return fetchAllJson_(urls).map(function(json, i) {
+      if (json instanceof Error) {
+        throw json;
+      }
+      var entries = getEntries(json);
+      if (json.continue && entries.length < limit) {
+        var continuation = Object.keys(json.continue).map(function(param) {
+          return '&' + param + '=' + encodeURIComponent(json.continue[param]);
+        }).join('');
+        entries = entries.concat(fetchAllPages_(urls[i] + continuation,
+            getEntries, limit === Infinity ? 'all' : limit - entries.length));
+      }
+      return entries;
     });
-  } catch (e) {
-    // no-op
+  };
+  addNode(seed.title, 0);
+  var level = [seed.title];
+  for (var depth = 0; depth < maxDepth && level.length; depth++) {
+    var outbound = fetchLinks(level.map(getLinksUrl), getLinks, Infinity);
+    var next = [];
+    level.forEach(function(title, i) {
+      outbound[i].forEach(function(link) {
+        if (addNode(link.title, depth + 1)) {
+          next.push(link.title);
+        }
+        addEdge(title, link.title);
+      });
+    });
+    var free = maxNodes - graph.titles.length;
+    if (free > 0) {
+      var inbound = fetchLinks(level.map(getBacklinksUrl), getBacklinks,
+          free);
+      level.forEach(function(title, i) {
+        inbound[i].forEach(function(link) {
+          if (addNode(link.title, depth + 1)) {
+            next.push(link.title);
+          }
+        });
+      });
+    }
+    level = next;
   }
-  return results.length > 0 ? results : '';
+  // Links from the farthest articles to the other articles of the graph,
+  // links to them were found in the outbound links of the other articles
+  fetchLinks(level.map(getLinksUrl), getLinks, Infinity).forEach(
+      function(links, i) {
+        links.forEach(function(link) {
+          addEdge(level[i], link.title);
+        });
+      });
+  return graph;
 }
 
 /**
- * Returns the output of the Quarry (https://meta.wikimedia.org/wiki/Research:Quarry) query with the specified query ID.
+ * Inserts a sheet, adding a number to the name if a sheet with the name
+ * exists already.
  *
- * @param {number} queryId The query ID of the Quarry query to run.
- * @return {Array<string>} The list of query results, the first line represents the header.
- * @customfunction
+ * @param {Object} spreadsheet The spreadsheet.
+ * @param {string} name The name of the sheet.
+ * @return {Object} The sheet.
  */
-function WIKIQUARRY(queryId) {
+function insertUniqueSheet_(spreadsheet, name) {
   'use strict';
-  if (!queryId) {
-    return '';
-  }
-  var results = [];
-  try {
-    var url = 'https://quarry.wmflabs.org/query/' + queryId +
-        '/result/latest/0/json';
-    var json = JSON.parse(UrlFetchApp.fetch(url, HEADERS).getContentText());
-    results[0] = json.headers;
-    results = results.concat(json.rows);
-  } catch (e) {
-    // no-op
+  // Sheet names have at most 100 characters
+  name = name.substr(0, 90);
+  var unique = name;
+  for (var i = 2; spreadsheet.getSheetByName(unique); i++) {
+    unique = name + ' (' + i + ')';
   }
-  return results.length > 0 ? results : '';
+  return spreadsheet.insertSheet(unique);
 }
 
 /**
- * Returns Google Suggest results for the given keyword.
- *
- * @param {string} query The query in the format "language:Query" ("de:Berlin") to get suggestions for.
- * @return {Array<string>} The list of suggestions.
- * @customfunction
+ * Exports the link graph around the article in the active cell to two new
+ * sheets: the links as edge list, and the articles with their in-degree,
+ * out-degree, and reciprocity, which can both be imported into Gephi.
  */
-function GOOGLESUGGEST(query) {
+function exportLinkGraph_() {
   'use strict';
-  if (!query) {
-    return '';
+  var title = 'Export link graph';
+  var ui = SpreadsheetApp.getUi();
+  var spreadsheet = SpreadsheetApp.getActive();
+  var cell = spreadsheet.getActiveCell();
+  var article = cell ? String(cell.getValue()).trim() : '';
+  if (!article) {
+    ui.alert(title, 'Select a cell with the seed article ("en:Berlin").',
+        ui.ButtonSet.OK);
+    return;
   }
-  var results = [];
+  var response = ui.prompt(title, 'Maximum number of articles linked up to ' +
+      LINK_GRAPH_DEPTH + ' links away from ' + article + ', defaults to ' +
+      LINK_GRAPH_NODES + ', at most ' + LINK_GRAPH_MAX_NODES + '.',
+      ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+  var maxNodes = Math.min(parseInt(response.getResponseText(), 10) ||
+      LINK_GRAPH_NODES, LINK_GRAPH_MAX_NODES);
+  var graph;
   try {
-    var language;
-    var title;
-    if (query.indexOf(':') !== -1) {
-      language = query.split(/:(.+)?/)[0];
-      title = query.split(/:(.+)?/)[1];
-    } else {
-      language = DEFAULT_LANGUAGE;
-      title = query;
-    }
-    if (!title) {
-      return '';
-    }
-    var url = 'https://suggestqueries.google.com/complete/search' +
-        '?output=toolbar' +
-        '&hl=' + language +
-        '&q=' + encodeURIComponent(title);
-    var xml = UrlFetchApp.fetch(url, HEADERS).getContentText();
-    var document = XmlService.parse(xml);
-    var entries = document.getRootElement().getChildren('CompleteSuggestion');
-    for (var i = 0; i < entries.length; i++) {
-      var text = entries[i].getChild('suggestion').getAttribute('data')
-          .getValue();
-      results[i] = text;
-    }
+    graph = crawlLinkGraph_(parseArticle_(article), LINK_GRAPH_DEPTH,
+        maxNodes);
   } catch (e) {
-    // no-op
+    ui.alert(title, e.message, ui.ButtonSet.OK);
+    return;
   }
-  return results.length > 0 ? results : '';
+  var seed = graph.titles[0];
+  var edges = [['Source', 'Target']].concat(graph.edges);
+  var nodes = [['Id', 'Label', 'Depth', 'In-degree', 'Out-degree',
+      'Reciprocity']].concat(graph.titles.map(function(node) {
+        var inbound = Object.keys(graph.nodes[node].inbound);
+        var outbound = graph.nodes[node].outbound;
+        var mutual = inbound.filter(function(source) {
+          return outbound[source];
+        }).length;
+        var neighbors = inbound.length + Object.keys(outbound).length - mutual;
+        return [
+          node,
+          node,
+          graph.nodes[node].depth,
+          inbound.length,
+          Object.keys(outbound).length,
+          neighbors ? mutual / neighbors : 0
+        ];
+      }));
+  insertUniqueSheet_(spreadsheet, 'Nodes of ' + seed)
+      .getRange(1, 1, nodes.length, nodes[0].length).setValues(nodes);
+  insertUniqueSheet_(spreadsheet, 'Links of ' + seed)
+      .getRange(1, 1, edges.length, edges[0].length).setValues(edges);
 }
 
 /**
@@ -1725,11 +5701,99 @@ function onInstall() {
  */
 function onOpen() {
   'use strict';
-  SpreadsheetApp.getUi().createAddonMenu()
+  var ui = SpreadsheetApp.getUi();
+  ui.createAddonMenu()
       .addItem('Show documentation', 'showDocumentation_')
+      .addItem('Push selection to Wikidata', 'pushToWikidata_')
+      .addItem('Set Wikidata access token', 'setWikidataAccessToken_')
+      .addItem('Watch selected articles', 'watchArticles_')
+      .addItem('Stop watching articles', 'unwatchArticles_')
+      .addItem('Export link graph of selected article', 'exportLinkGraph_')
+      .addSubMenu(ui.createMenu('Errors')
+          .addItem('Show error messages', 'showErrorMessages_')
+          .addItem('Throw errors', 'throwErrors_')
+          .addItem('Leave cells empty on errors', 'hideErrors_'))
+      .addItem('Clear cache', 'clearCache_')
+      .addItem('Settings', 'showSettings_')
       .addToUi();
 }
 
+/**
+ * Shows a dialog with the API endpoint settings.
+ */
+function showSettings_() {
+  'use strict';
+  var template = HtmlService.createTemplateFromFile('Settings');
+  template.settings = getSettings_();
+  var html = template.evaluate()
+      .setSandboxMode(HtmlService.SandboxMode.IFRAME)
+      .setWidth(400)
+      .setHeight(380);
+  SpreadsheetApp.getUi().showModalDialog(html, 'Settings');
+}
+
+/**
+ * Saves the API endpoint settings of the current document. Called from the
+ * settings dialog.
+ *
+ * @param {Object<string, string>} settings The settings by name, empty strings restore the Wikimedia defaults.
+ */
+function saveSettings(settings) {
+  'use strict';
+  SETTINGS.forEach(function(setting) {
+    var value = String(settings[setting] || '').trim();
+    if (/Url$/.test(setting) && value && !/^https?:\/\/\S+$/.test(value)) {
+      throw new Error('Invalid URL: ' + value);
+    }
+    setDocumentProperty_(setting, value);
+  });
+}
+
+/**
+ * Purges all cached API responses of the current document by starting a new
+ * cache generation.
+ */
+function clearCache_() {
+  'use strict';
+  var generation = parseInt(getDocumentProperty_('cacheGeneration'), 10);
+  setDocumentProperty_('cacheGeneration', String((generation || 0) + 1));
+  SpreadsheetApp.getActive().toast('The cache has been cleared.');
+}
+
+/**
+ * Sets the error mode of the current document.
+ *
+ * @param {string} mode One of the `ERROR_MODES`.
+ */
+function setErrorMode_(mode) {
+  'use strict';
+  setDocumentProperty_('errorMode', mode);
+}
+
+/**
+ * Reports errors as "#WIKI!" messages in the cell.
+ */
+function showErrorMessages_() {
+  'use strict';
+  setErrorMode_('message');
+}
+
+/**
+ * Reports errors by throwing them, so Sheets shows "#ERROR!".
+ */
+function throwErrors_() {
+  'use strict';
+  setErrorMode_('throw');
+}
+
+/**
+ * Reports errors as empty cells.
+ */
+function hideErrors_() {
+  'use strict';
+  setErrorMode_('quiet');
+}
+
 /**
  * Shows a sidebar with help.
  */